@@ -0,0 +1,36 @@
+// App boot smoke test: loads src/app.js with every router and serves a few requests (no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const app = require('../src/app');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+const server = app.listen(0, async () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const get = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    console.log('Running app boot tests...');
+
+    const health = await get('/health');
+    assert(health.status === 200 && health.body.status === 'OK', 'health check answers');
+
+    const sources = await get('/v1/sources');
+    assert(sources.status === 200, 'API routes are mounted');
+
+    const missing = await get('/v1/nope');
+    assert(missing.status === 404 && missing.body.error.code === 'NOT_FOUND', 'unknown routes return 404');
+
+    console.log('✅ App boot tests passed');
+  } catch (err) {
+    console.error('❌ App boot test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
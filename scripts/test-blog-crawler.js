@@ -0,0 +1,99 @@
+// Blog crawler test script against local fixture pages (no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const blogCrawler = require('../src/services/blog-crawler');
+const rssCrawler = require('../src/services/rss-crawler');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const pages = {
+  '/with-feed': { type: 'text/html', body: fixture('blog-feed.html') },
+  '/rss2.xml': { type: 'application/xml', body: fixture('rss2.xml') },
+  '/articles': { type: 'text/html', body: fixture('blog-articles.html') },
+  '/single': { type: 'text/html', body: fixture('blog-single.html') },
+  '/empty': { type: 'text/html', body: '<html><head></head><body></body></html>' },
+  '/slow-feed': {
+    type: 'text/html',
+    body: fixture('blog-articles.html').replace('<head>', '<head><link rel="alternate" type="application/rss+xml" href="/hang.xml">')
+  }
+};
+
+// Never answered, to exercise request timeouts
+const hanging = ['/hang', '/hang.xml'];
+
+const server = http.createServer((req, res) => {
+  if (hanging.includes(req.url)) return;
+  const page = pages[req.url];
+  if (!page) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': page.type });
+  res.end(page.body);
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+server.listen(0, async () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('Running blog crawler tests...');
+
+    const viaFeed = await blogCrawler.crawlBlog(`${baseUrl}/with-feed`);
+    assert(viaFeed.success, 'blog with an advertised feed crawls');
+    assert(viaFeed.data.discovery === 'feed', 'advertised feed is preferred');
+    assert(viaFeed.data.feedUrl === `${baseUrl}/rss2.xml`, 'relative feed href resolved');
+    assert(viaFeed.data.blogTitle === 'AI Research Blog', 'feed title used as blog title');
+    assert(viaFeed.data.totalItems === 2, 'feed items returned');
+    console.log('Feed discovery:', viaFeed.data.feedUrl);
+
+    const articles = await blogCrawler.crawlBlog(`${baseUrl}/articles`);
+    assert(articles.success, 'blog without a feed crawls');
+    assert(articles.data.discovery === 'html', 'falls back to HTML extraction');
+    assert(articles.data.blogTitle === 'Startup Journal & Notes', 'page title decoded');
+    assert(articles.data.items.length === 2, 'articles without headings are skipped');
+    const [first, second] = articles.data.items;
+    assert(first.title === 'Pricing experiments for saas startups', 'article heading is the title');
+    assert(first.link === `${baseUrl}/posts/pricing`, 'relative article link resolved');
+    assert(first.author === 'Dana Lee', 'article author read from the author element');
+    assert(first.publishedDate === '2025-01-04T10:00:00.000Z', 'article <time> normalized');
+    assert(first.summary === 'What we learned testing pricing pages for our saas product.', 'first paragraph is the summary');
+    assert(second.link === 'https://journal.example/posts/hiring', 'absolute article link kept');
+    console.log('HTML articles:', articles.data.items.map(item => item.title));
+
+    const single = await blogCrawler.crawlBlog(`${baseUrl}/single`);
+    assert(single.success && single.data.items.length === 1, 'single-article page crawls');
+    assert(single.data.items[0].title === 'Why we moved to kubernetes', 'OpenGraph title preferred');
+    assert(single.data.items[0].link === `${baseUrl}/posts/kubernetes`, 'OpenGraph url resolved');
+    assert(single.data.items[0].author === 'Sam Ortiz', 'author meta tag used');
+    assert(single.data.items[0].keywords.includes('kubernetes'), 'keywords extracted');
+
+    const empty = await blogCrawler.crawlBlog(`${baseUrl}/empty`);
+    assert(!empty.success && /No feed or articles/.test(empty.error), 'pages without content fail');
+
+    const missing = await blogCrawler.crawlBlog(`${baseUrl}/missing`);
+    assert(!missing.success && /404/.test(missing.error), 'HTTP errors are reported');
+
+    blogCrawler.timeoutMs = 200;
+    rssCrawler.timeoutMs = 200;
+    const slowPage = await blogCrawler.crawlBlog(`${baseUrl}/hang`);
+    assert(!slowPage.success && /timed out after 200ms/.test(slowPage.error), 'a page that never answers fails with a timeout');
+
+    const slowFeed = await blogCrawler.crawlBlog(`${baseUrl}/slow-feed`);
+    assert(slowFeed.success && slowFeed.data.discovery === 'html', 'a discovered feed that times out falls back to HTML extraction');
+
+    console.log('✅ Blog crawler tests passed');
+  } catch (err) {
+    console.error('❌ Blog crawler test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
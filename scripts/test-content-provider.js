@@ -0,0 +1,121 @@
+// Content provider test script against a local OpenAI-compatible stand-in server (no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const http = require('http');
+const { sendError } = require('../src/utils/helpers');
+
+// How the stand-in answers the next requests: ok | plain | error | slow
+let mode = 'ok';
+const received = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const payload = JSON.parse(body);
+    received.push({ headers: req.headers, payload });
+    const topic = payload.messages[1].content.match(/"([^"]+)"/)[1];
+
+    if (mode === 'error') {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'model overloaded' } }));
+    }
+
+    const content = mode === 'plain'
+      ? `# ${topic} in Practice\n\n## Introduction\nWhy ${topic} matters now.`
+      : '```json\n' + JSON.stringify({
+        title: `${topic}: Field Notes #${received.length}`,
+        content: `## Introduction\nWhat changed in ${topic}.\n\n## Next Steps\nTry it on a small project.`
+      }) + '\n```';
+
+    const reply = () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        model: 'stand-in-1',
+        choices: [{ index: 0, message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 40, completion_tokens: 60, total_tokens: 100 }
+      }));
+    };
+    mode === 'slow' ? setTimeout(reply, 1000) : reply();
+  });
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+server.listen(0, async () => {
+  process.env.CONTENT_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.CONTENT_LLM_API_KEY = 'test-key';
+  process.env.CONTENT_LLM_MODEL = 'stand-in-1';
+  process.env.CONTENT_LLM_TIMEOUT_MS = '300';
+  process.env.CONTENT_LLM_PROMPT = 'Draft about "{keyword}" ({category}) in {year}. Related: {related}. {unknown}';
+
+  const contentService = require('../src/services/content');
+  const keywords = ['Edge Computing', 'Rust'];
+
+  try {
+    console.log('Running content provider tests...');
+
+    const templated = await contentService.generateDrafts({ count: 2, keywords, provider: 'template' });
+    assert(templated.success && templated.drafts_count === 2, 'template provider generates drafts');
+    assert(templated.generation.provider === 'template', 'template provider reported');
+    assert(templated.generation.usage.total_tokens === 0, 'template provider uses no tokens');
+    assert(templated.drafts.every(d => d.generation.provider === 'template'), 'drafts record the template provider');
+    assert(received.length === 0, 'template provider makes no HTTP calls');
+    console.log('Template generation:', templated.generation);
+
+    const generated = await contentService.generateDrafts({ count: 2, keywords, provider: 'openai' });
+    assert(generated.success && generated.drafts_count === 2, 'openai provider generates drafts');
+    assert(generated.drafts[0].title === 'Edge Computing: Field Notes #1', 'fenced JSON completion parsed');
+    assert(generated.drafts[0].content.startsWith('## Introduction'), 'completion content used');
+    assert(generated.drafts[0].generation.model === 'stand-in-1', 'draft records the model');
+    assert(generated.generation.usage.total_tokens === 200, 'token usage summed');
+    assert(generated.generation.drafts_by_provider.openai === 2, 'drafts counted per provider');
+    assert(Number.isInteger(generated.generation.latency_ms.max), 'latency reported');
+    const request = received[0];
+    assert(request.headers.authorization === 'Bearer test-key', 'API key sent');
+    assert(request.payload.model === 'stand-in-1', 'configured model sent');
+    const prompt = request.payload.messages[1].content;
+    assert(prompt.startsWith(`Draft about "Edge Computing" (${generated.drafts[0].category}) in ${new Date().getFullYear()}.`), 'prompt variables filled');
+    assert(prompt.endsWith('{unknown}'), 'unknown prompt placeholders left as-is');
+    console.log('OpenAI-compatible generation:', generated.generation);
+
+    mode = 'plain';
+    const plain = await contentService.generateDrafts({ count: 1, keywords, provider: 'openai' });
+    assert(plain.drafts[0].title === 'Edge Computing in Practice', 'plain-text completion: first line is the title');
+
+    mode = 'error';
+    const fellBack = await contentService.generateDrafts({ count: 2, keywords, provider: 'openai' });
+    assert(fellBack.success && fellBack.drafts_count === 2, 'falls back to templates on HTTP errors');
+    assert(fellBack.generation.fallback_used, 'fallback reported');
+    assert(fellBack.generation.fallback_reason === 'Provider responded with HTTP 500', 'fallback reason reported');
+    assert(fellBack.generation.failed_calls === 1, 'failing provider skipped for the rest of the batch');
+    assert(fellBack.drafts.every(d => d.generation.provider === 'template' && d.generation.fallback), 'fallback drafts marked');
+    console.log('Fallback generation:', fellBack.generation);
+
+    mode = 'slow';
+    const timedOut = await contentService.generateDrafts({ count: 1, keywords, provider: 'openai' });
+    assert(timedOut.generation.fallback_reason === 'Request timed out after 300ms', 'timeout triggers fallback');
+
+    contentService.fallbackEnabled = false;
+    const failed = await contentService.generateDrafts({ count: 1, keywords, provider: 'openai' });
+    assert(!failed.success && failed.status === 502, 'fails without fallback');
+    const sent = {};
+    sendError({ status(code) { sent.status = code; return this; }, json(body) { sent.body = body; } }, failed.status, failed.error);
+    assert(sent.status === 502 && sent.body.error.code === 'UPSTREAM_ERROR', 'provider failures are reported as UPSTREAM_ERROR');
+    console.log('Without fallback:', failed.error);
+
+    console.log('✅ Content provider tests passed');
+  } catch (err) {
+    console.error('❌ Content provider test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,84 @@
+// Crawl job test script: single-source crawls run as background jobs (local fixture feed, no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const app = require('../src/app');
+
+const feed = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+const feedServer = http.createServer((req, res) => {
+  if (req.url !== '/rss2.xml') {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end(feed);
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+feedServer.listen(0, () => {
+  const feedUrl = `http://127.0.0.1:${feedServer.address().port}/rss2.xml`;
+
+  const server = app.listen(0, async () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const request = async (method, url, body) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      console.log('Running crawl job tests...');
+
+      const created = await request('POST', '/v1/sources', { url: feedUrl, type: 'RSS', name: 'Fixture Feed' });
+      assert(created.status === 201, 'RSS source created');
+      const sourceId = created.body.id;
+
+      const queued = await request('POST', `/v1/sources/${sourceId}/crawl`);
+      assert(queued.status === 202, 'single-source crawl is accepted as a job');
+      assert(queued.body.jobId && queued.body.statusUrl === `/v1/crawl-jobs/${queued.body.jobId}`, 'job id and status URL returned');
+      assert(queued.body.progress.total === 1, 'job covers one source');
+
+      let job;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        job = (await request('GET', queued.body.statusUrl)).body;
+        if (job.finishedAt) break;
+        await sleep(100);
+      }
+
+      assert(job.status === 'completed', `job completes (got ${job.status})`);
+      assert(job.progress.completed === 1 && job.progress.succeeded === 1, 'progress reports the crawled source');
+      assert(job.sources[0].status === 'success' && job.sources[0].itemsFound === 2, 'per-source result recorded');
+      assert(job.result.summary.new_items === 2, 'new items counted in the job summary');
+      console.log('Job progress:', job.progress);
+
+      const items = await request('GET', `/v1/sources/${sourceId}/items`);
+      assert(items.body.total === 2, 'crawled items are stored for the source');
+
+      const twitter = await request('POST', '/v1/sources', { url: 'https://twitter.com/example', type: 'Twitter' });
+      const unsupported = await request('POST', `/v1/sources/${twitter.body.id}/crawl`);
+      assert(unsupported.status === 400, 'sources that cannot be crawled are rejected');
+
+      const missing = await request('POST', '/v1/sources/9999/crawl');
+      assert(missing.status === 404, 'unknown source returns 404');
+
+      console.log('✅ Crawl job tests passed');
+    } catch (err) {
+      console.error('❌ Crawl job test failed:', err);
+      process.exitCode = 1;
+    } finally {
+      server.close();
+      feedServer.close();
+    }
+  });
+});
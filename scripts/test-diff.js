@@ -0,0 +1,77 @@
+// Line diff test script for draft revisions (no network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const { diffLines, formatDiff } = require('../src/utils/diff');
+const draftsData = require('../src/data/drafts');
+const draftRevisions = require('../src/services/draft-revisions');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+const types = (lines) => lines.map(line => line.type[0]).join('');
+
+try {
+  console.log('Running diff tests...');
+
+  const same = diffLines('a\nb\nc', 'a\nb\nc');
+  assert(types(same) === 'uuu', 'identical texts are unchanged');
+  assert(same[2].from_line === 3 && same[2].to_line === 3, 'unchanged lines keep both line numbers');
+
+  const changed = diffLines('intro\nold line\noutro', 'intro\nnew line\noutro');
+  assert(types(changed) === 'urau', 'an edited line is removed and added');
+  assert(changed[1].text === 'old line' && changed[1].from_line === 2 && changed[1].to_line === null, 'removed line has only its old line number');
+  assert(changed[2].text === 'new line' && changed[2].from_line === null && changed[2].to_line === 2, 'added line has only its new line number');
+
+  const inserted = diffLines('a\nc', 'a\nb\nc');
+  assert(types(inserted) === 'uau', 'inserted line');
+  assert(inserted[2].from_line === 2 && inserted[2].to_line === 3, 'lines after an insert are renumbered');
+
+  const deleted = diffLines('a\nb\nc', 'a\nc');
+  assert(types(deleted) === 'uru', 'deleted line');
+
+  // Pure insertions and deletions at either end and in blocks
+  assert(types(diffLines('b\nc', 'a\nb\nc')) === 'auu', 'line inserted at the start');
+  assert(types(diffLines('a\nb', 'a\nb\nc\nd')) === 'uuaa', 'lines appended at the end');
+  assert(types(diffLines('a\nx\ny\nb\nz', 'a\nb')) === 'urrur', 'deleted block and trailing line');
+  const removedOnly = diffLines('a\nx\ny\nb', 'a\nb');
+  assert(removedOnly.every(line => line.type !== 'added') && removedOnly.filter(line => line.type === 'removed').length === 2, 'pure deletion adds nothing');
+
+  const moved = diffLines('x\na\nb\nc\ny', 'x\nb\nc\na\ny');
+  assert(moved.filter(line => line.type === 'unchanged').length === 4, 'longest common subsequence is kept');
+
+  assert(types(diffLines('', 'a\nb')) === 'raa', 'empty text diffs as one removed empty line');
+
+  const unified = formatDiff(changed);
+  assert(unified === '  intro\n- old line\n+ new line\n  outro', 'unified format');
+  console.log(unified);
+
+  // Beyond MAX_DIFF_CELLS the edited block is reported as removed + added instead of aligned
+  const big = Array.from({ length: 2100 }, (_, i) => `line ${i}`);
+  const reordered = [...big].reverse();
+  const large = diffLines(big.join('\n'), reordered.join('\n'));
+  assert(large.filter(line => line.type === 'removed').length === 2100, 'large blocks fall back to removed lines');
+  assert(large.filter(line => line.type === 'added').length === 2100, 'large blocks fall back to added lines');
+
+  // Large identical texts never reach the table: the common head covers them
+  const identicalLarge = diffLines(big.join('\n'), big.join('\n'));
+  assert(identicalLarge.length === 2100 && identicalLarge.every(line => line.type === 'unchanged'), 'large identical texts are unchanged');
+
+  // A draft that was never edited reports its text as revision 1 without storing it
+  const draft = draftsData.create({ title: 'Original title', content: 'intro\nbody', status: 'pending' });
+  const [virtual] = draftRevisions.listRevisions(draft);
+  assert(draftRevisions.listRevisions(draft).length === 1 && virtual.number === 1 && virtual.author === 'system', 'unedited draft lists revision 1');
+  assert(draftRevisions.diff(draft).stats.unchanged === 2, 'revision 1 diffs against itself');
+  assert(require('../src/data/draft-revisions').getForDraft(draft.id).length === 0, 'reads do not store revision 1');
+
+  const { draft: edited, revision } = draftRevisions.applyEdit(draft, { content: 'intro\nbody\noutro' }, { author: 'ann' });
+  assert(revision.number === 2, 'first edit becomes revision 2');
+  const editDiff = draftRevisions.diff(edited);
+  assert(editDiff.from.number === 1 && editDiff.to.number === 2 && editDiff.stats.added === 1, 'edit diffs against the stored revision 1');
+  assert(draftRevisions.getRevision(edited, 1).content === 'intro\nbody', 'revision 1 keeps the generated text');
+
+  console.log('✅ Diff tests passed');
+} catch (err) {
+  console.error('❌ Diff test failed:', err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,121 @@
+// Draft review workflow test script: status transitions, reviewer gating,
+// the published-draft freeze, threaded comments and the audit trail
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const app = require('../src/app');
+const draftsData = require('../src/data/drafts');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+const server = app.listen(0, async () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const createDraft = () => draftsData.create({ title: 'Review me', content: 'First draft text', keyword: 'python' });
+  const auditOf = async (id) => (await request('GET', `/v1/content/drafts/${id}/audit`)).body.entries;
+
+  try {
+    console.log('Running draft review tests...');
+
+    // Transition table
+    const draft = createDraft();
+    const skipped = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'published', author: 'ana' });
+    assert(skipped.status === 409, 'a pending draft cannot be published without approval');
+    assert(/allowed: approved, rejected/.test(skipped.body.error.message), 'the error lists the allowed transitions');
+
+    const unexplained = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'rejected', author: 'ana' });
+    assert(unexplained.status === 400, 'a rejection needs a reason');
+    assert(draftsData.getById(draft.id).status === 'pending', 'a refused change leaves the status alone');
+    assert((await auditOf(draft.id)).length === 0, 'refused status changes are not audited');
+
+    const rejected = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'rejected', reason: ' Too short ', author: 'ana' });
+    assert(rejected.status === 200 && rejected.body.draft.status === 'rejected', 'a rejection with a reason is accepted');
+    assert(rejected.body.draft.rejection_reason === 'Too short', 'the rejection reason is stored trimmed');
+
+    const reopened = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'pending', author: 'ana' });
+    assert(reopened.body.draft.status === 'pending' && reopened.body.draft.rejection_reason === null, 'a rejected draft can be reopened');
+
+    // Reviewer gating
+    const assigned = await request('PUT', `/v1/content/drafts/${draft.id}/reviewers`, { reviewers: ['lee', ' kim '], author: 'ana' });
+    assert(assigned.status === 200 && assigned.body.draft.reviewers.join() === 'lee,kim', 'reviewers assigned and trimmed');
+
+    const outsider = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'approved', author: 'ana' });
+    assert(outsider.status === 403, 'only assigned reviewers can approve');
+    const takeover = await request('PUT', `/v1/content/drafts/${draft.id}/reviewers`, { reviewers: ['ana'], author: 'ana' });
+    assert(takeover.status === 403, 'only assigned reviewers can change the reviewers');
+
+    const approved = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'approved', author: 'lee' });
+    assert(approved.status === 200 && approved.body.draft.status === 'approved', 'an assigned reviewer approves');
+
+    // Editing an approved draft sends it back to review, audited once the edit is stored
+    const edited = await request('PUT', `/v1/content/drafts/${draft.id}`, { content: 'Second draft text', author: 'ana' });
+    assert(edited.status === 200 && edited.body.draft.status === 'pending', 'an edited approved draft is pending again');
+    assert(edited.body.revision === 2, 'the edit is stored as revision 2');
+    const reReviews = (await auditOf(draft.id)).filter(entry => entry.from_status === 'approved' && entry.to_status === 'pending');
+    assert(reReviews.length === 1 && reReviews[0].reason === 'Edited after approval', 'the return to review is audited once');
+
+    // Published drafts are frozen
+    await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'approved', author: 'kim' });
+    const published = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'published', author: 'kim' });
+    assert(published.status === 200 && published.body.draft.status === 'published', 'an approved draft is published');
+    const auditBefore = (await auditOf(draft.id)).length;
+
+    const frozenEdit = await request('PUT', `/v1/content/drafts/${draft.id}`, { title: 'Changed', author: 'ana' });
+    assert(frozenEdit.status === 409, 'a published draft cannot be edited');
+    const frozenRestore = await request('POST', `/v1/content/drafts/${draft.id}/revisions/1/restore`, { author: 'ana' });
+    assert(frozenRestore.status === 409, 'a published draft cannot be restored');
+    const unpublish = await request('PUT', `/v1/content/drafts/${draft.id}`, { status: 'pending', author: 'kim' });
+    assert(unpublish.status === 409 && /cannot change status/.test(unpublish.body.error.message), 'a published draft keeps its status');
+
+    const stored = draftsData.getById(draft.id);
+    assert(stored.title === 'Review me' && stored.content === 'Second draft text', 'the published text is unchanged');
+    const blocked = (await auditOf(draft.id)).slice(auditBefore);
+    assert(blocked.length === 2 && blocked.every(entry => entry.action === 'edit_blocked'), 'only the blocked attempts are audited');
+    assert(blocked.map(entry => entry.attempted).join() === 'edit,restore', 'blocked attempts record what was tried');
+    const revisions = (await request('GET', `/v1/content/drafts/${draft.id}/revisions`)).body;
+    assert(revisions.total === 2, 'blocked changes add no revision');
+
+    // Restoring an approved draft also sends it back to review
+    const restorable = createDraft();
+    await request('PUT', `/v1/content/drafts/${restorable.id}`, { content: 'Edited text', author: 'ana' });
+    await request('PUT', `/v1/content/drafts/${restorable.id}`, { status: 'approved', author: 'lee' });
+    const restored = await request('POST', `/v1/content/drafts/${restorable.id}/revisions/1/restore`, { author: 'ana' });
+    assert(restored.status === 200 && restored.body.draft.status === 'pending', 'a restored approved draft is pending again');
+    assert(restored.body.draft.content === 'First draft text' && restored.body.revision === 3, 'the restore is stored as revision 3');
+    const restoreAudit = (await auditOf(restorable.id)).filter(entry => entry.reason === 'Revision restored after approval');
+    assert(restoreAudit.length === 1, 'the restore after approval is audited once');
+
+    // Threaded comments
+    const comment = await request('POST', `/v1/content/drafts/${draft.id}/comments`, { author: 'lee', body: 'Needs a source' });
+    assert(comment.status === 201 && comment.body.parent_id === null, 'top-level comment created');
+    const reply = await request('POST', `/v1/content/drafts/${draft.id}/comments`, { author: 'ana', body: 'Added one', parent_id: comment.body.id });
+    assert(reply.status === 201 && reply.body.parent_id === comment.body.id, 'reply created');
+    await request('POST', `/v1/content/drafts/${draft.id}/comments`, { author: 'lee', body: 'Thanks', parent_id: reply.body.id });
+    await request('POST', `/v1/content/drafts/${draft.id}/comments`, { author: 'kim', body: 'Second thread' });
+
+    const foreign = await request('POST', `/v1/content/drafts/${restorable.id}/comments`, { author: 'ana', body: 'Wrong draft', parent_id: comment.body.id });
+    assert(foreign.status === 400, 'a reply must stay on the same draft');
+    const empty = await request('POST', `/v1/content/drafts/${draft.id}/comments`, { author: 'ana', body: '  ' });
+    assert(empty.status === 400, 'an empty comment is refused');
+
+    const threads = (await request('GET', `/v1/content/drafts/${draft.id}/comments`)).body;
+    assert(threads.total === 4 && threads.threads.length === 2, 'comments grouped into two threads');
+    assert(threads.threads[0].replies[0].body === 'Added one', 'reply nested under its comment');
+    assert(threads.threads[0].replies[0].replies[0].body === 'Thanks', 'replies nest to any depth');
+
+    console.log('✅ Draft review tests passed');
+  } catch (err) {
+    console.error('❌ Draft review test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,69 @@
+// Keyword alias test script: plural normalization and alias groups (no network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const keywordAliases = require('../src/services/keyword-aliases');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+try {
+  console.log('Running keyword alias tests...');
+
+  // Names and singular words ending in "s" are kept as they are
+  const unchanged = [
+    'nextjs', 'vuejs', 'reactjs', 'macos', 'pandas', 'rails', 'jenkins', 'bias',
+    'kubernetes', 'redis', 'status', 'express', 'analysis', 'analytics', 'https', 'ios'
+  ];
+  unchanged.forEach(word => {
+    const resolved = keywordAliases.normalize(word);
+    assert(resolved === word, `"${word}" is not singularized (got "${resolved}")`);
+  });
+
+  // Real plurals are singularized
+  const plurals = {
+    agents: 'agent',
+    startups: 'startup',
+    libraries: 'library',
+    companies: 'company',
+    frameworks: 'framework',
+    searches: 'search',
+    boxes: 'box',
+    classes: 'class',
+    videos: 'video',
+    movies: 'movie',
+    gpus: 'gpu',
+    aliases: 'alias',
+    statuses: 'status',
+    buses: 'bus',
+    analyses: 'analysis',
+    databases: 'database',
+    responses: 'response',
+    courses: 'course',
+    prizes: 'prize',
+    buzzes: 'buzz',
+    quizzes: 'quiz',
+    'ai agents': 'ai agent'
+  };
+  Object.entries(plurals).forEach(([plural, singular]) => {
+    const resolved = keywordAliases.normalize(plural);
+    assert(resolved === singular, `"${plural}" becomes "${singular}" (got "${resolved}")`);
+  });
+  console.log('Plurals:', Object.keys(plurals).map(word => `${word} -> ${keywordAliases.normalize(word)}`).join(', '));
+
+  // Alias groups roll abbreviations up into the canonical keyword
+  assert(keywordAliases.resolve('nodejs') === 'node.js', 'nodejs resolves to node.js');
+  assert(keywordAliases.resolve('LLMs') === 'large language model', 'plural abbreviation resolves to its group');
+  assert(keywordAliases.resolve('K8s') === 'kubernetes', 'aliases are case-insensitive');
+
+  // The resolved-keyword cache is bounded
+  keywordAliases.maxResolvedCache = 100;
+  for (let i = 0; i < 250; i++) keywordAliases.resolve(`token${i}`);
+  assert(keywordAliases.getLookup().resolved.size <= 100, 'resolved cache stays within its limit');
+  assert(keywordAliases.resolve('nodejs') === 'node.js', 'aliases still resolve after the cache is cleared');
+
+  console.log('✅ Keyword alias tests passed');
+} catch (err) {
+  console.error('❌ Keyword alias test failed:', err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,78 @@
+// RSS/Atom crawler test script against local fixture feeds (no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const rssCrawler = require('../src/services/rss-crawler');
+const youtubeCrawler = require('../src/services/youtube-crawler');
+
+const fixtures = {
+  '/rss2.xml': fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8'),
+  '/atom.xml': fs.readFileSync(path.join(__dirname, 'fixtures', 'atom.xml'), 'utf8'),
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/hang.xml') return; // never answers
+  const body = fixtures[req.url];
+  if (!body) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end(body);
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+server.listen(0, async () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('Running RSS crawler tests...');
+
+    const rss = await rssCrawler.crawlFeed(`${baseUrl}/rss2.xml`);
+    assert(rss.success, 'RSS 2.0 feed crawls');
+    assert(rss.data.format === 'rss', 'RSS 2.0 format detected');
+    assert(rss.data.feedTitle === 'AI Research Blog', 'RSS feed title');
+    assert(rss.data.totalItems === 2, 'RSS item count');
+    const [first, second] = rss.data.items;
+    assert(first.summary === 'How our team moved python analytics jobs to cloud automation.', 'RSS summary is stripped of HTML');
+    assert(first.author === 'Priya Raman', 'RSS dc:creator author');
+    assert(first.publishedDate === '2025-01-06T09:30:00.000Z', 'RSS pubDate normalized');
+    assert(first.keywords.includes('python') && first.keywords.includes('cloud'), 'RSS keywords extracted');
+    assert(second.link === `${baseUrl}/posts/api-design`, 'relative RSS link resolved against feed URL');
+    console.log('RSS 2.0 first item:', first);
+
+    const atom = await rssCrawler.crawlFeed(`${baseUrl}/atom.xml`);
+    assert(atom.success, 'Atom feed crawls');
+    assert(atom.data.format === 'atom', 'Atom format detected');
+    assert(atom.data.siteUrl === 'https://devweekly.example/', 'Atom alternate link preferred over self');
+    assert(atom.data.items[0].title === 'React & Node: building a javascript monorepo', 'Atom title entities decoded');
+    assert(atom.data.items[0].author === 'Alex Chen', 'Atom author name');
+    assert(atom.data.items[1].publishedDate === '2025-01-05T08:00:00.000Z', 'Atom falls back to updated');
+    assert(atom.data.items[1].summary === 'Running devops pipelines on cloud runners.', 'Atom content used when summary is missing');
+    console.log('Atom first item:', atom.data.items[0]);
+
+    const trends = youtubeCrawler.extractTrendingKeywords(atom.data);
+    assert(trends.some(t => t.keyword === 'cloud'), 'feed items flow into the trend pipeline');
+    console.log('Atom trends:', trends.map(t => `${t.keyword} (${t.mentions})`).join(', '));
+
+    const missing = await rssCrawler.crawlFeed(`${baseUrl}/missing.xml`);
+    assert(!missing.success && /404/.test(missing.error), 'HTTP errors are reported, not mocked');
+
+    rssCrawler.timeoutMs = 200;
+    const hanging = await rssCrawler.crawlFeed(`${baseUrl}/hang.xml`);
+    assert(!hanging.success && /timed out after 200ms/.test(hanging.error), 'a feed that never answers fails with a timeout');
+
+    console.log('✅ RSS crawler tests passed');
+  } catch (err) {
+    console.error('❌ RSS crawler test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,48 @@
+// Sentiment analyzer test script: lexicon scores, negation and intensifiers (no network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const sentimentAnalyzer = require('../src/services/sentiment-analyzer');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+const score = (text) => sentimentAnalyzer.analyze(text).score;
+
+try {
+  console.log('Running sentiment tests...');
+
+  assert(score('good') > 0 && sentimentAnalyzer.analyze('good').label === 'positive', 'positive word');
+  assert(score('terrible outage') < 0 && sentimentAnalyzer.analyze('terrible outage').label === 'negative', 'negative words');
+  assert(score('release notes for version two') === 0 && sentimentAnalyzer.analyze('release notes').label === 'neutral', 'no lexicon words is neutral');
+
+  // Negation flips (and dampens) the words after it
+  assert(score('not good') < 0, '"not good" is negative');
+  assert(score("isn't bad") > 0, '"isn\'t bad" is positive');
+  assert(Math.abs(score('not good')) < Math.abs(score('good')), 'negation dampens the word');
+  assert(score('not really that good') < 0, 'negation reaches a few words ahead');
+  assert(score('not one two three four good') > 0, 'negation scope is limited');
+
+  // Punctuation ends the negation
+  assert(score('not bad. good') > score('not bad good'), 'negation scope ends at punctuation');
+  assert(score('not here, great tool') === score('great tool'), 'words after a comma are not negated');
+
+  // Intensifiers strengthen the next word
+  assert(score('very good') > score('good'), '"very good" is more positive than "good"');
+  assert(score('extremely slow') < score('slow'), 'intensifiers strengthen negative words too');
+  assert(score('very not') === 0, 'intensifier without a lexicon word scores nothing');
+
+  // Scores stay within -1..1
+  assert(score('amazing amazing amazing amazing amazing amazing') < 1, 'scores are normalized below 1');
+  assert(score('worst worst worst worst worst worst') > -1, 'scores are normalized above -1');
+
+  const aggregate = sentimentAnalyzer.aggregate([{ score: 0.5 }, { score: -0.1 }]);
+  assert(aggregate.score === 0.2 && aggregate.label === 'positive', 'aggregate is the mean score');
+  assert(sentimentAnalyzer.aggregate([]) === null, 'aggregate of nothing is null');
+
+  console.log('Samples:', ['good', 'very good', 'not good', 'not bad. good'].map(text => `${text} -> ${score(text)}`).join(', '));
+  console.log('✅ Sentiment tests passed');
+} catch (err) {
+  console.error('❌ Sentiment test failed:', err);
+  process.exitCode = 1;
+}
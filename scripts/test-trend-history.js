@@ -0,0 +1,68 @@
+// Trend history test script: every keyword of a refresh is recorded (local fixture feed, no external network)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+const http = require('http');
+const sourcesData = require('../src/data/sources');
+const trendsService = require('../src/services/trends-service');
+
+// 30 items, one made-up keyword each, so a refresh yields more keywords than any "top N"
+const KEYWORDS = Array.from({ length: 30 }, (_, i) => `zyn${String.fromCharCode(97 + (i % 26))}${String.fromCharCode(97 + Math.floor(i / 26))}kit`);
+let feedKeywords = KEYWORDS;
+
+const renderFeed = () => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>History Fixture</title><link>http://fixture.example/</link>
+${feedKeywords.map(keyword => `<item><title>${keyword}</title><link>http://fixture.example/${keyword}</link><guid>${keyword}</guid></item>`).join('\n')}
+</channel></rss>`;
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end(renderFeed());
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(`Assertion failed: ${message}`);
+};
+
+server.listen(0, async () => {
+  try {
+    console.log('Running trend history tests...');
+
+    // Only the fixture feed contributes to the refreshes
+    sourcesData.getAll().forEach(source => sourcesData.updateStatus(source.id, 'paused'));
+    sourcesData.create({ url: `http://127.0.0.1:${server.address().port}/feed.xml`, type: 'RSS', name: 'History Fixture' });
+
+    const from = Date.now() - 1000;
+    await trendsService.refreshTrends({ sourceBased: true });
+
+    const { rows: ranked } = await trendsService.exportTrends({ sourceBased: true });
+    assert(ranked.length > 20, `refresh yields more than 20 keywords (got ${ranked.length})`);
+    const keyword21 = ranked.find(row => row.rank === 21).keyword;
+    console.log('Keyword #21:', keyword21);
+
+    const history = trendsService.getKeywordHistory(keyword21, { from, to: Date.now(), interval: 'hour', sourceBased: true });
+    assert(history.points_recorded === 1, 'keyword #21 has a history point');
+    assert(history.series.some(bucket => bucket.mentions === 1), 'keyword #21 mentions are charted');
+
+    const { rows: exported } = await trendsService.exportTrends({ sourceBased: true, from, to: Date.now() });
+    assert(exported.some(row => row.keyword === keyword21), 'date-ranged export includes keyword #21');
+    assert(exported.length === ranked.length, 'date-ranged export has every keyword of the refresh');
+
+    // A later refresh without the keyword counts as 0 mentions, not as a gap
+    feedKeywords = KEYWORDS.filter(keyword => keyword !== keyword21);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await trendsService.refreshTrends({ sourceBased: true });
+
+    const after = trendsService.getKeywordHistory(keyword21, { from, to: Date.now(), interval: 'hour', sourceBased: true });
+    const bucket = after.series.find(entry => entry.samples > 0);
+    assert(after.points_recorded === 1 && bucket.samples === 2, 'both refreshes are samples of the bucket');
+    assert(bucket.mentions === 0.5, `absent refresh averages in as 0 mentions (got ${bucket.mentions})`);
+    assert(after.series.filter(entry => entry.samples === 0).every(entry => entry.mentions === null), 'buckets without refreshes stay null');
+
+    console.log('✅ Trend history tests passed');
+  } catch (err) {
+    console.error('❌ Trend history test failed:', err);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
@@ -1,4 +1,6 @@
 // Simple trends service test script (no HTTP server binding)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
 const { getTrends, refreshTrends } = require('../src/services/trends-service');
 
 (async () => {
@@ -11,6 +11,10 @@ const userRouter = require('./routes/user');
 const twitterRouter = require('./routes/twitter-simple');
 const contentRouter = require('./routes/content');
 const agentRouter = require('./routes/agent');
+const crawlJobsRouter = require('./routes/crawl-jobs');
+const watchlistsRouter = require('./routes/watchlists');
+const taxonomyRouter = require('./routes/taxonomy');
+const crawlScheduler = require('./services/crawl-scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -41,9 +45,12 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/v1/sources', sourcesRouter);
+app.use('/v1/crawl-jobs', crawlJobsRouter);
 app.use('/v1/projects', projectsRouter);
 app.use('/v1/stats', statsRouter);
 app.use('/v1/analytics', analyticsRouter);
+app.use('/v1/watchlists', watchlistsRouter);
+app.use('/v1/taxonomy', taxonomyRouter);
 app.use('/v1/delivery', deliveryRouter);
 app.use('/v1/user', userRouter);
 app.use('/v1/twitter', twitterRouter);
@@ -71,8 +78,7 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
+const logEndpoints = () => {
   console.log(`🚀 Twitter Agent Backend API server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`📚 API Base URL: http://localhost:${PORT}/v1`);
@@ -82,8 +88,12 @@ app.listen(PORT, () => {
   console.log('  POST   /v1/sources           - Create new source');
   console.log('  PUT    /v1/sources/:id/status - Update source status');
   console.log('  DELETE /v1/sources/:id       - Delete source');
-  console.log('  POST   /v1/sources/:id/crawl - Crawl specific source');
-  console.log('  POST   /v1/sources/crawl-all - Crawl all active sources');
+  console.log('  POST   /v1/sources/:id/crawl - Queue crawl of specific source');
+  console.log('  POST   /v1/sources/crawl-all - Queue crawl of all active sources');
+  console.log('  GET    /v1/crawl-jobs/:id    - Crawl job progress and results');
+  console.log('  GET    /v1/sources/:id/items - Crawled items (?since=)');
+  console.log('  PUT    /v1/sources/:id/schedule - Update crawl schedule');
+  console.log('  POST   /v1/sources/:id/schedule/pause|resume|trigger - Control crawl schedule');
   console.log('  GET    /v1/projects          - List all projects');
   console.log('  POST   /v1/projects          - Create new project');
   console.log('  PUT    /v1/projects/:id      - Update project');
@@ -93,6 +103,19 @@ app.listen(PORT, () => {
   console.log('  GET    /v1/analytics/trends  - Trend data');
   console.log('  GET    /v1/analytics/efficiency - Efficiency metrics');
   console.log('  POST   /v1/analytics/refresh-trends - Refresh trending topics');
+  console.log('  GET    /v1/analytics/trends/refresh-status - Trends refresh progress');
+  console.log('  GET    /v1/analytics/trends/export - Export trends (csv, json, ndjson)');
+  console.log('  GET    /v1/analytics/trends/feed - Feed of new trending keywords (json, atom)');
+  console.log('  GET    /v1/analytics/trends/:keyword/history - Keyword trend history');
+  console.log('  GET    /v1/watchlists        - List keyword watchlists');
+  console.log('  POST   /v1/watchlists        - Create watchlist with alert rules');
+  console.log('  GET    /v1/watchlists/alerts - Triggered watchlist alerts');
+  console.log('  GET    /v1/taxonomy          - Keyword categories');
+  console.log('  POST   /v1/taxonomy          - Create category');
+  console.log('  PUT    /v1/taxonomy/:id      - Rename category or edit keywords/patterns');
+  console.log('  DELETE /v1/taxonomy/:id      - Delete category');
+  console.log('  GET    /v1/taxonomy/aliases  - Keyword alias groups');
+  console.log('  POST   /v1/taxonomy/aliases  - Create alias group');
   console.log('  GET    /v1/delivery/channels - Delivery channels');
   console.log('  POST   /v1/delivery/publish  - Publish content');
   console.log('  GET    /v1/user/profile      - User profile');
@@ -103,7 +126,32 @@ app.listen(PORT, () => {
   console.log('  POST   /v1/twitter/publish   - Publish project to Twitter');
   console.log('  POST   /v1/content/generate-drafts - Generate content drafts');
   console.log('  GET    /v1/content/drafts    - List content drafts');
-  console.log('  GET    /v1/content/stats     - Content statistics');\n  console.log('');\n  console.log('Agent Integration:');\n  console.log('  POST   /api/agent/workflows        - Workflow notifications');\n  console.log('  POST   /api/agent/workflows/:id/status - Status updates');\n  console.log('  POST   /api/agent/tweets/posted   - Tweet posting notifications');\n  console.log('  POST   /api/agent/engagement      - Engagement metrics');\n  console.log('  GET    /api/agent/status          - Agent integration status');\n  console.log('  GET    /api/agent/workflows       - List all workflows');\n  console.log('  GET    /api/agent/engagement/report - Engagement analytics');
-});
+  console.log('  GET    /v1/content/drafts/:id/revisions - Draft revision history');
+  console.log('  GET    /v1/content/drafts/:id/diff - Diff between draft revisions');
+  console.log('  POST   /v1/content/drafts/:id/comments - Comment on a draft');
+  console.log('  GET    /v1/content/drafts/:id/audit - Draft review audit trail');
+  console.log('  GET    /v1/content/templates - List draft title/outline templates');
+  console.log('  POST   /v1/content/templates/preview - Preview templates against a sample trend');
+  console.log('  GET    /v1/content/stats     - Content statistics');
+  console.log('');
+  console.log('Agent Integration:');
+  console.log('  POST   /api/agent/workflows        - Workflow notifications');
+  console.log('  POST   /api/agent/workflows/:id/status - Status updates');
+  console.log('  POST   /api/agent/tweets/posted   - Tweet posting notifications');
+  console.log('  POST   /api/agent/engagement      - Engagement metrics');
+  console.log('  GET    /api/agent/status          - Agent integration status');
+  console.log('  GET    /api/agent/workflows       - List all workflows');
+  console.log('  GET    /api/agent/engagement/report - Engagement analytics');
+};
+
+// Start server (only when run directly, so scripts can require the app without binding a port)
+if (require.main === module) {
+  app.listen(PORT, logEndpoints);
+
+  // Scheduled crawls are on by default; CRAWL_SCHEDULER_ENABLED=false turns them off
+  if (process.env.CRAWL_SCHEDULER_ENABLED !== 'false') {
+    crawlScheduler.start();
+  }
+}
 
 module.exports = app;
\ No newline at end of file
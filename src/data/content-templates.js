@@ -0,0 +1,152 @@
+// Content templates data store
+// Per-category title templates and outline used by the template provider;
+// categories without their own templates use the "General" ones
+
+const { createStore } = require('./storage');
+
+const defaultTemplates = [
+  {
+    id: 1,
+    category: "Technology",
+    titles: [
+      "The Future of {keyword}: What You Need to Know in {year}",
+      "5 {keyword} Tools Every Creator Should Use",
+      "How {keyword} is Changing the Game for Content Creators",
+      "{keyword} Explained: A Complete Guide for Beginners",
+      "Why {keyword} Will Dominate {year} (And How to Prepare)"
+    ],
+    outline: `## {keyword}: Complete Guide for {year}
+
+The {keyword} ecosystem is rapidly evolving, and staying updated is crucial for developers and creators alike.
+
+### Overview:
+{keyword} represents a significant advancement in modern development practices. This guide covers everything you need to know to get started and excel.
+
+### What's Covered:
+• Latest features and capabilities
+• Installation and setup process  
+• Real-world examples and use cases
+• Performance optimization techniques
+• Community resources and best practices
+
+### Why {keyword} Matters:
+- Improved developer experience
+- Better performance and reliability
+- Strong community support
+- Future-proof technology stack
+- Enhanced productivity tools
+
+### Next Steps:
+Ready to dive in? We'll walk through practical examples and help you build your first project with {keyword}.
+
+*Additional technical details and code examples needed.*`
+  },
+  {
+    id: 2,
+    category: "AI",
+    titles: [
+      "AI-Powered {keyword}: The Complete {year} Guide",
+      "How AI is Revolutionizing {keyword}",
+      "10 AI {keyword} Tools That Will Blow Your Mind",
+      "The Ethics of AI in {keyword}: What Creators Must Know",
+      "{keyword} vs AI: The Future of Content Creation"
+    ],
+    outline: `## Introduction to {keyword}
+
+{keyword} is revolutionizing the way we approach content creation and digital workflows. In this comprehensive guide, we'll explore:
+
+### What You'll Learn:
+• The fundamentals of {keyword} and how it works
+• Practical applications for content creators
+• Step-by-step implementation guide
+• Best practices and common pitfalls to avoid
+• Future trends and opportunities
+
+### Key Benefits:
+- Increased productivity and efficiency
+- Enhanced creative possibilities
+- Competitive advantage in the market
+- Cost-effective content scaling
+- Improved audience engagement
+
+### Getting Started:
+1. Understanding the basics
+2. Choosing the right tools
+3. Setting up your workflow
+4. Measuring results and optimization
+
+*This draft requires further research and detailed examples.*`
+  },
+  {
+    id: 3,
+    category: "General",
+    titles: [
+      "Ultimate {keyword} Guide for Content Creators",
+      "From Zero to Hero: Mastering {keyword} in {year}",
+      "The Hidden Secrets of {keyword} Success",
+      "Why Everyone is Talking About {keyword}",
+      "{keyword} Trends That Will Define {year}"
+    ],
+    outline: `## The Ultimate {keyword} Guide
+
+{keyword} has become increasingly important for content creators and digital professionals. Here's everything you need to know.
+
+### In This Guide:
+• Understanding {keyword} fundamentals
+• Why it matters for your content strategy
+• Practical tips and strategies
+• Tools and resources to get started
+• Common mistakes and how to avoid them
+
+### Key Takeaways:
+- Strategic importance for creators
+- Actionable implementation steps
+- Proven strategies that work
+- Expert insights and recommendations
+- Future trends and predictions
+
+### Getting Results:
+This guide provides practical, actionable advice you can implement immediately to see results in your content creation workflow.
+
+*Requires additional research and case studies.*`
+  }
+];
+
+const store = createStore('content-templates', defaultTemplates);
+
+const getAll = (filters = {}) => {
+  let templates = [...store.getAll()].sort((a, b) => a.id - b.id);
+
+  if (filters.category) {
+    templates = templates.filter(template => template.category.toLowerCase() === filters.category.toLowerCase());
+  }
+
+  return templates;
+};
+
+const getById = (id) => store.getById(id);
+
+const getByCategory = (category) => store.find(template => template.category.toLowerCase() === String(category).toLowerCase());
+
+const create = (templateData) => store.insert({
+  category: templateData.category,
+  titles: templateData.titles,
+  outline: templateData.outline,
+  created_at: new Date().toISOString()
+});
+
+const update = (id, updates) => store.update(id, {
+  ...updates,
+  updated_at: new Date().toISOString()
+});
+
+const deleteById = (id) => store.remove(id);
+
+module.exports = {
+  getAll,
+  getById,
+  getByCategory,
+  create,
+  update,
+  deleteById
+};
@@ -0,0 +1,139 @@
+// Crawl snapshots data store
+// Remembers every item a source has produced (first/last seen) plus one
+// snapshot per crawl, so crawls can be diffed against what was already known
+const { createStore } = require('./storage');
+
+const MAX_SNAPSHOTS_PER_SOURCE = 50;
+// Items of a source beyond this are pruned, least recently seen first
+const MAX_ITEMS_PER_SOURCE = 500;
+
+const itemsStore = createStore('source-items');
+const snapshotsStore = createStore('crawl-snapshots');
+
+// Bumped on every change to the stored items, so derived data (TF-IDF corpus stats) knows when to rebuild
+let itemsVersion = 0;
+
+// Videos and feed items carry slightly different field names
+const getItemKey = (item) => String(item.id || item.link || item.videoUrl || item.title);
+
+const toStoredItem = (item) => ({
+  title: item.title,
+  link: item.link || item.videoUrl || '',
+  summary: item.summary || item.description || '',
+  publishedDate: item.publishedDate || null,
+  author: item.author || item.channelName || '',
+  keywords: item.keywords || [],
+  sentiment: item.sentiment || null
+});
+
+/**
+ * Record a crawl for a source and diff its items against known ones
+ * @param {number} sourceId - Source ID
+ * @param {Array} items - Items found by the crawl
+ * @param {string} crawledAt - Crawl timestamp (ISO)
+ * @returns {Object} - { snapshot, newItems, knownItems }
+ */
+const recordSnapshot = (sourceId, items, crawledAt = new Date().toISOString()) => {
+  const id = parseInt(sourceId);
+  const newItems = [];
+  let knownItems = 0;
+  const itemKeys = [];
+
+  for (const item of items) {
+    const itemKey = getItemKey(item);
+    if (itemKeys.includes(itemKey)) continue;
+    itemKeys.push(itemKey);
+
+    const existing = itemsStore.find(stored => stored.sourceId === id && stored.itemKey === itemKey);
+    if (existing) {
+      itemsStore.update(existing.id, { ...toStoredItem(item), lastSeenAt: crawledAt });
+      knownItems++;
+    } else {
+      newItems.push(itemsStore.insert({
+        sourceId: id,
+        itemKey,
+        ...toStoredItem(item),
+        firstSeenAt: crawledAt,
+        lastSeenAt: crawledAt
+      }));
+    }
+  }
+
+  const snapshot = snapshotsStore.insert({
+    sourceId: id,
+    crawledAt,
+    totalItems: itemKeys.length,
+    newItems: newItems.length,
+    knownItems,
+    itemKeys
+  });
+
+  // Keep only the most recent snapshots for each source
+  const sourceSnapshots = snapshotsStore.filter(stored => stored.sourceId === id);
+  if (sourceSnapshots.length > MAX_SNAPSHOTS_PER_SOURCE) {
+    const expired = new Set(sourceSnapshots.slice(0, sourceSnapshots.length - MAX_SNAPSHOTS_PER_SOURCE).map(s => s.id));
+    snapshotsStore.removeWhere(stored => expired.has(stored.id));
+  }
+
+  // Keep only the most recently seen items for each source
+  const sourceItems = itemsStore.filter(stored => stored.sourceId === id);
+  if (sourceItems.length > MAX_ITEMS_PER_SOURCE) {
+    const expired = new Set(sourceItems
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt) || b.id - a.id)
+      .slice(MAX_ITEMS_PER_SOURCE)
+      .map(item => item.id));
+    itemsStore.removeWhere(stored => expired.has(stored.id));
+  }
+
+  itemsVersion++;
+  return { snapshot, newItems, knownItems };
+};
+
+/**
+ * Items of a source, newest first
+ * @param {number} sourceId - Source ID
+ * @param {Object} filters - { since } keeps items first seen after that time
+ * @returns {Array} - Stored items
+ */
+const getItems = (sourceId, filters = {}) => {
+  const id = parseInt(sourceId);
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+
+  return itemsStore
+    .filter(item => item.sourceId === id && (since === null || new Date(item.firstSeenAt).getTime() > since))
+    .sort((a, b) => new Date(b.firstSeenAt) - new Date(a.firstSeenAt) || b.id - a.id);
+};
+
+/**
+ * Stored items across sources
+ * @param {Object} filters - { sourceIds } restricts to those sources
+ * @returns {Array} - Stored items
+ */
+const getAllItems = (filters = {}) => {
+  if (!filters.sourceIds) return itemsStore.getAll();
+
+  const ids = filters.sourceIds.map(id => parseInt(id));
+  return itemsStore.filter(item => ids.includes(item.sourceId));
+};
+
+const getSnapshots = (sourceId) => snapshotsStore
+  .filter(snapshot => snapshot.sourceId === parseInt(sourceId))
+  .sort((a, b) => new Date(b.crawledAt) - new Date(a.crawledAt));
+
+const deleteForSource = (sourceId) => {
+  const id = parseInt(sourceId);
+  itemsStore.removeWhere(item => item.sourceId === id);
+  snapshotsStore.removeWhere(snapshot => snapshot.sourceId === id);
+  itemsVersion++;
+};
+
+const getItemsVersion = () => itemsVersion;
+
+module.exports = {
+  recordSnapshot,
+  getItems,
+  getAllItems,
+  getSnapshots,
+  deleteForSource,
+  getItemsVersion
+};
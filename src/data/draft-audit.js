@@ -0,0 +1,28 @@
+// Draft audit trail data store
+// One entry per status change or reviewer assignment of a draft
+const { createStore } = require('./storage');
+
+const store = createStore('draft-audit');
+
+/**
+ * Audit entries of a draft, oldest first
+ * @param {number|string} draftId - Draft id
+ * @returns {Array}
+ */
+const getForDraft = (draftId) => store
+  .filter(entry => entry.draft_id === parseInt(draftId))
+  .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+const create = (entryData) => store.insert({
+  ...entryData,
+  draft_id: parseInt(entryData.draft_id),
+  created_at: new Date().toISOString()
+});
+
+const deleteForDraft = (draftId) => store.removeWhere(entry => entry.draft_id === parseInt(draftId));
+
+module.exports = {
+  getForDraft,
+  create,
+  deleteForDraft
+};
@@ -0,0 +1,33 @@
+// Draft comments data store
+// Review comments on drafts; replies point at their parent comment
+const { createStore } = require('./storage');
+
+const store = createStore('draft-comments');
+
+/**
+ * Comments on a draft, oldest first
+ * @param {number|string} draftId - Draft id
+ * @returns {Array}
+ */
+const getForDraft = (draftId) => store
+  .filter(comment => comment.draft_id === parseInt(draftId))
+  .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+const getById = (id) => store.getById(id);
+
+const create = (commentData) => store.insert({
+  draft_id: parseInt(commentData.draft_id),
+  parent_id: commentData.parent_id ?? null,
+  author: commentData.author,
+  body: commentData.body,
+  created_at: new Date().toISOString()
+});
+
+const deleteForDraft = (draftId) => store.removeWhere(comment => comment.draft_id === parseInt(draftId));
+
+module.exports = {
+  getForDraft,
+  getById,
+  create,
+  deleteForDraft
+};
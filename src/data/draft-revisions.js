@@ -0,0 +1,42 @@
+// Draft revisions data store
+// Numbered snapshots of a draft's title and content, one per edit
+const { createStore } = require('./storage');
+
+const store = createStore('draft-revisions');
+
+/**
+ * Revisions of a draft, oldest first
+ * @param {number|string} draftId - Draft id
+ * @returns {Array}
+ */
+const getForDraft = (draftId) => store
+  .filter(revision => revision.draft_id === parseInt(draftId))
+  .sort((a, b) => a.number - b.number);
+
+const getByNumber = (draftId, number) => store.find(revision =>
+  revision.draft_id === parseInt(draftId) && revision.number === parseInt(number));
+
+const getLatest = (draftId) => {
+  const revisions = getForDraft(draftId);
+  return revisions[revisions.length - 1] || null;
+};
+
+const create = (revisionData) => {
+  const latest = getLatest(revisionData.draft_id);
+  return store.insert({
+    ...revisionData,
+    draft_id: parseInt(revisionData.draft_id),
+    number: latest ? latest.number + 1 : 1,
+    created_at: revisionData.created_at || new Date().toISOString()
+  });
+};
+
+const deleteForDraft = (draftId) => store.removeWhere(revision => revision.draft_id === parseInt(draftId));
+
+module.exports = {
+  getForDraft,
+  getByNumber,
+  getLatest,
+  create,
+  deleteForDraft
+};
@@ -0,0 +1,42 @@
+// Content drafts data store
+const { createStore } = require('./storage');
+
+const store = createStore('drafts');
+
+const getAll = (filters = {}) => {
+  let drafts = [...store.getAll()];
+
+  if (filters.status) {
+    drafts = drafts.filter(draft => draft.status === filters.status);
+  }
+
+  if (filters.category) {
+    drafts = drafts.filter(draft => draft.category === filters.category);
+  }
+
+  // Newest first
+  return drafts.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+const getById = (id) => store.getById(id);
+
+const create = (draftData) => store.insert({
+  ...draftData,
+  status: draftData.status || "pending",
+  created_at: draftData.created_at || new Date().toISOString()
+});
+
+const update = (id, updates) => store.update(id, {
+  ...updates,
+  updated_at: new Date().toISOString()
+});
+
+const deleteById = (id) => store.remove(id);
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  update,
+  deleteById
+};
@@ -0,0 +1,58 @@
+// Keyword alias groups data store
+// Each group rolls its aliases up into one canonical trend keyword
+
+const { createStore } = require('./storage');
+
+const defaultAliasGroups = [
+  { id: 1, canonical: "ai", aliases: ['artificial intelligence', 'a.i'] },
+  { id: 2, canonical: "machine learning", aliases: ['ml'] },
+  { id: 3, canonical: "large language model", aliases: ['llm'] },
+  { id: 4, canonical: "generative ai", aliases: ['genai', 'gen ai'] },
+  { id: 5, canonical: "javascript", aliases: ['js'] },
+  { id: 6, canonical: "typescript", aliases: ['ts'] },
+  { id: 7, canonical: "node.js", aliases: ['nodejs'] },
+  { id: 8, canonical: "kubernetes", aliases: ['k8s'] },
+  { id: 9, canonical: "postgresql", aliases: ['postgres'] }
+];
+
+const store = createStore('keyword-aliases', defaultAliasGroups);
+
+// Bumped on every change so consumers can rebuild derived lookups
+let version = 0;
+
+const getAll = () => [...store.getAll()].sort((a, b) => a.id - b.id);
+
+const getById = (id) => store.getById(id);
+
+const create = (groupData) => {
+  version++;
+  return store.insert({
+    canonical: groupData.canonical,
+    aliases: groupData.aliases || [],
+    created_at: new Date().toISOString()
+  });
+};
+
+const update = (id, updates) => {
+  version++;
+  return store.update(id, {
+    ...updates,
+    updated_at: new Date().toISOString()
+  });
+};
+
+const deleteById = (id) => {
+  version++;
+  return store.remove(id);
+};
+
+const getVersion = () => version;
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  update,
+  deleteById,
+  getVersion
+};
@@ -1,5 +1,7 @@
-// In-memory projects data store
-let projects = [
+// Projects data store
+const { createStore } = require('./storage');
+
+const defaultProjects = [
   {
     id: 1,
     title: "Tech Review Series",
@@ -32,46 +34,28 @@ let projects = [
   }
 ];
 
-let nextId = 4;
+const store = createStore('projects', defaultProjects);
 
-const getAll = () => projects;
+const getAll = () => store.getAll();
 
-const getById = (id) => projects.find(project => project.id === parseInt(id));
+const getById = (id) => store.getById(id);
 
-const create = (projectData) => {
-  const newProject = {
-    id: nextId++,
-    title: projectData.title,
-    description: projectData.description || "",
-    status: "active",
-    totalViews: 0,
-    engagement: 0,
-    lastUpdated: new Date().toISOString(),
-    thumbnail: `/api/projects/${nextId - 1}/thumbnail`
-  };
-  projects.push(newProject);
-  return newProject;
-};
+const create = (projectData) => store.insert(id => ({
+  title: projectData.title,
+  description: projectData.description || "",
+  status: "active",
+  totalViews: 0,
+  engagement: 0,
+  lastUpdated: new Date().toISOString(),
+  thumbnail: `/api/projects/${id}/thumbnail`
+}));
 
-const update = (id, updates) => {
-  const index = projects.findIndex(project => project.id === parseInt(id));
-  if (index === -1) return null;
-  
-  projects[index] = { 
-    ...projects[index], 
-    ...updates, 
-    lastUpdated: new Date().toISOString() 
-  };
-  return projects[index];
-};
+const update = (id, updates) => store.update(id, {
+  ...updates,
+  lastUpdated: new Date().toISOString()
+});
 
-const deleteById = (id) => {
-  const index = projects.findIndex(project => project.id === parseInt(id));
-  if (index === -1) return false;
-  
-  projects.splice(index, 1);
-  return true;
-};
+const deleteById = (id) => store.remove(id);
 
 module.exports = {
   getAll,
@@ -1,5 +1,7 @@
-// In-memory sources data store
-let sources = [
+// Sources data store
+const { createStore } = require('./storage');
+
+const defaultSources = [
   {
     id: 1,
     name: "100x Engineers",
@@ -29,65 +31,32 @@ let sources = [
   }
 ];
 
-let nextId = 4;
+const store = createStore('sources', defaultSources);
 
-const getAll = () => sources;
+const getAll = () => store.getAll();
 
-const getById = (id) => sources.find(source => source.id === parseInt(id));
+const getById = (id) => store.getById(id);
 
-const create = (sourceData) => {
-  const newSource = {
-    id: nextId++,
-    name: sourceData.name || "Unnamed Source",
-    type: sourceData.type,
-    url: sourceData.url,
-    status: "active",
-    lastCrawled: null,
-    icon: sourceData.type.toLowerCase()
-  };
-  sources.push(newSource);
-  return newSource;
-};
+const create = (sourceData) => store.insert({
+  name: sourceData.name || "Unnamed Source",
+  type: sourceData.type,
+  url: sourceData.url,
+  status: "active",
+  lastCrawled: null,
+  icon: sourceData.type.toLowerCase(),
+  lastRunAt: null,
+  nextRunAt: null
+});
 
-const update = (id, updates) => {
-  const index = sources.findIndex(source => source.id === parseInt(id));
-  if (index === -1) return null;
-  
-  sources[index] = { ...sources[index], ...updates };
-  return sources[index];
-};
+const update = (id, updates) => store.update(id, updates);
 
-const deleteById = (id) => {
-  const index = sources.findIndex(source => source.id === parseInt(id));
-  if (index === -1) return false;
-  
-  sources.splice(index, 1);
-  return true;
-};
+const deleteById = (id) => store.remove(id);
 
-const updateStatus = (id, status) => {
-  const source = getById(id);
-  if (!source) return null;
-  
-  source.status = status;
-  return source;
-};
+const updateStatus = (id, status) => store.update(id, { status });
 
-const updateLastCrawled = (id, timestamp) => {
-  const source = getById(id);
-  if (!source) return null;
-  
-  source.lastCrawled = timestamp;
-  return source;
-};
+const updateLastCrawled = (id, timestamp) => store.update(id, { lastCrawled: timestamp });
 
-const updateName = (id, name) => {
-  const source = getById(id);
-  if (!source) return null;
-  
-  source.name = name;
-  return source;
-};
+const updateName = (id, name) => store.update(id, { name });
 
 module.exports = {
   getAll,
@@ -0,0 +1,85 @@
+// JSON file-backed collection store
+// Serves reads from memory and writes the whole collection to disk after each
+// mutation. Writes are serialized through a single promise chain and land via
+// write-to-temp + rename, so concurrent requests never interleave partial files.
+// Mutations made while a write is queued share that write, but each write still
+// serializes the full collection: fine for MVP volumes, costly for large,
+// append-heavy collections (trend history, audit trails) - use a database there.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {string} name - Collection name, used as the file name
+   * @param {Array} seed - Records used when no file exists yet
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding the JSON files
+   */
+  constructor(name, seed = [], { dataDir }) {
+    super(name, []);
+    this.filePath = path.join(dataDir, `${name}.json`);
+    this.writeChain = Promise.resolve();
+    this.writePending = false;
+
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    const saved = fs.existsSync(this.filePath) ? this.load() : null;
+    if (saved) {
+      this.records = saved.records || [];
+      this.nextId = saved.nextId || this.records.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1;
+    } else {
+      const seeded = new MemoryStore(name, seed);
+      this.records = seeded.records;
+      this.nextId = seeded.nextId;
+      this.persist();
+    }
+  }
+
+  /**
+   * Read the collection file. A file that cannot be parsed is moved aside
+   * (`<name>.json.corrupt-<timestamp>`) so the store starts from its seed
+   * instead of crashing startup; the original data stays on disk for recovery.
+   * @private
+   * @returns {Object|null} - Saved { nextId, records }, or null when the file was quarantined
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      const quarantinePath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, quarantinePath);
+      console.error(`❌ Could not read ${this.name} store (${error.message}); moved ${this.filePath} to ${quarantinePath} and started from defaults`);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a write of the current collection state. Mutations made while a
+   * write is already queued are picked up by that write.
+   * @protected
+   */
+  persist() {
+    if (this.writePending) return;
+    this.writePending = true;
+
+    this.writeChain = this.writeChain
+      .then(() => {
+        this.writePending = false;
+        const payload = JSON.stringify({ nextId: this.nextId, records: this.records }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        return fs.promises.writeFile(tmpPath, payload)
+          .then(() => fs.promises.rename(tmpPath, this.filePath));
+      })
+      .catch(error => {
+        console.error(`Failed to persist ${this.name} store:`, error.message);
+      });
+  }
+
+  flush() {
+    return this.writeChain;
+  }
+}
+
+module.exports = FileStore;
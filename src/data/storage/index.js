@@ -0,0 +1,40 @@
+// Storage adapter selection
+// STORAGE_DRIVER=file (default) keeps collections as JSON files under DATA_DIR;
+// STORAGE_DRIVER=memory keeps them in process memory only (tests, throwaway runs).
+
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+
+const DRIVERS = ['memory', 'file'];
+
+const getStorageConfig = () => ({
+  driver: (process.env.STORAGE_DRIVER || 'file').toLowerCase(),
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', '..', '..', 'data')
+});
+
+/**
+ * Create a collection store using the configured driver
+ * @param {string} name - Collection name
+ * @param {Array} seed - Default records for a fresh collection
+ * @returns {MemoryStore|FileStore}
+ */
+const createStore = (name, seed = []) => {
+  const { driver, dataDir } = getStorageConfig();
+
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Must be one of: ${DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'memory') {
+    return new MemoryStore(name, seed);
+  }
+  return new FileStore(name, seed, { dataDir });
+};
+
+module.exports = {
+  createStore,
+  getStorageConfig,
+  MemoryStore,
+  FileStore
+};
@@ -0,0 +1,83 @@
+// In-memory collection store
+// Keeps records in a plain array with an auto-incrementing numeric id
+
+class MemoryStore {
+  /**
+   * @param {string} name - Collection name
+   * @param {Array} seed - Initial records (each must carry a numeric id)
+   */
+  constructor(name, seed = []) {
+    this.name = name;
+    this.records = seed.map(record => ({ ...record }));
+    this.nextId = this.records.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1;
+  }
+
+  getAll() {
+    return this.records;
+  }
+
+  getById(id) {
+    return this.records.find(record => record.id === parseInt(id));
+  }
+
+  find(predicate) {
+    return this.records.find(predicate);
+  }
+
+  filter(predicate) {
+    return this.records.filter(predicate);
+  }
+
+  /**
+   * Insert a record, assigning it the next id
+   * @param {Object|Function} data - Record fields, or a builder receiving the new id
+   * @returns {Object} - Stored record
+   */
+  insert(data) {
+    const id = this.nextId++;
+    const record = { id, ...(typeof data === 'function' ? data(id) : data) };
+    this.records.push(record);
+    this.persist();
+    return record;
+  }
+
+  update(id, updates) {
+    const index = this.records.findIndex(record => record.id === parseInt(id));
+    if (index === -1) return null;
+
+    this.records[index] = { ...this.records[index], ...updates, id: this.records[index].id };
+    this.persist();
+    return this.records[index];
+  }
+
+  remove(id) {
+    const index = this.records.findIndex(record => record.id === parseInt(id));
+    if (index === -1) return false;
+
+    this.records.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  removeWhere(predicate) {
+    const before = this.records.length;
+    this.records = this.records.filter(record => !predicate(record));
+    const removed = before - this.records.length;
+    if (removed > 0) this.persist();
+    return removed;
+  }
+
+  /**
+   * Hook called after every mutation; nothing to do for memory
+   * @protected
+   */
+  persist() {}
+
+  /**
+   * Resolve once all pending writes have landed
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,79 @@
+// Keyword taxonomy data store
+// Categories with keyword lists and glob patterns, used to categorize
+// extracted keywords and to seed keyword extraction
+
+const { createStore } = require('./storage');
+
+const defaultCategories = [
+  {
+    id: 1,
+    name: "Technology",
+    keywords: ['ai', 'machine learning', 'code', 'programming', 'software', 'development', 'tech', 'api', 'database', 'cloud', 'javascript', 'python', 'react', 'node', 'web', 'mobile', 'app', 'system', 'architecture', 'devops', 'cybersecurity', 'blockchain', 'data', 'analytics', 'automation'],
+    patterns: []
+  },
+  {
+    id: 2,
+    name: "Business",
+    keywords: ['startup', 'entrepreneur', 'business', 'marketing', 'growth', 'strategy', 'revenue', 'funding', 'investment', 'scale', 'product', 'market', 'customer', 'sales', 'monetization', 'profit', 'roi', 'conversion', 'acquisition'],
+    patterns: []
+  },
+  {
+    id: 3,
+    name: "Content",
+    keywords: ['content', 'creator', 'video', 'youtube', 'social media', 'influencer', 'brand', 'engagement', 'audience', 'viral', 'trending', 'seo', 'optimization', 'analytics'],
+    patterns: []
+  },
+  {
+    id: 4,
+    name: "General",
+    keywords: ['tutorial', 'guide', 'tips', 'how to', 'best', 'top', 'review', 'comparison', 'vs', 'new', 'latest', 'update', 'release', '2024', '2025', 'future', 'trend', 'prediction'],
+    patterns: []
+  }
+];
+
+const store = createStore('taxonomy', defaultCategories);
+
+// Bumped on every change so consumers can rebuild derived lookups
+let version = 0;
+
+// Categories are matched in creation order, so earlier ones win on overlaps
+const getAll = () => [...store.getAll()].sort((a, b) => a.id - b.id);
+
+const getById = (id) => store.getById(id);
+
+const getByName = (name) => store.find(category => category.name.toLowerCase() === String(name).toLowerCase());
+
+const create = (categoryData) => {
+  version++;
+  return store.insert({
+    name: categoryData.name,
+    keywords: categoryData.keywords || [],
+    patterns: categoryData.patterns || [],
+    created_at: new Date().toISOString()
+  });
+};
+
+const update = (id, updates) => {
+  version++;
+  return store.update(id, {
+    ...updates,
+    updated_at: new Date().toISOString()
+  });
+};
+
+const deleteById = (id) => {
+  version++;
+  return store.remove(id);
+};
+
+const getVersion = () => version;
+
+module.exports = {
+  getAll,
+  getById,
+  getByName,
+  create,
+  update,
+  deleteById,
+  getVersion
+};
@@ -0,0 +1,129 @@
+// Trend history data store
+// One point per keyword per trends refresh, used to chart keyword development,
+// plus one record per refresh so a keyword missing from a refresh reads as 0
+// mentions rather than as a gap. Every keyword of a refresh is kept; storage is
+// bounded by age (retention window) and by the number of refreshes per variant.
+const { createStore } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createStore('trend-history');
+const refreshesStore = createStore('trend-refreshes');
+
+const getRetentionMs = () => {
+  const days = parseFloat(process.env.TREND_HISTORY_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 90) * DAY_MS;
+};
+
+const getMaxRefreshes = () => {
+  const max = parseInt(process.env.TREND_HISTORY_MAX_REFRESHES);
+  return Number.isFinite(max) && max > 0 ? max : 500;
+};
+
+const inRange = (recordedAt, from, to) => {
+  const time = new Date(recordedAt).getTime();
+  return (from === undefined || time >= from) && (to === undefined || time <= to);
+};
+
+/**
+ * Drop refreshes (and their points) older than the retention window or
+ * beyond the per-variant refresh limit, oldest first
+ * @private
+ */
+const prune = (sourceBased) => {
+  const cutoff = Date.now() - getRetentionMs();
+  const variantRefreshes = refreshesStore
+    .filter(refresh => refresh.sourceBased === sourceBased)
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  const overLimit = Math.max(0, variantRefreshes.length - getMaxRefreshes());
+  const expired = new Set(variantRefreshes
+    .filter((refresh, index) => index < overLimit || new Date(refresh.recordedAt).getTime() < cutoff)
+    .map(refresh => refresh.recordedAt));
+
+  if (expired.size > 0) {
+    refreshesStore.removeWhere(refresh => refresh.sourceBased === sourceBased && expired.has(refresh.recordedAt));
+  }
+  store.removeWhere(point => new Date(point.recordedAt).getTime() < cutoff ||
+    (point.sourceBased === sourceBased && expired.has(point.recordedAt)));
+};
+
+/**
+ * Record the trends of one refresh run (every keyword, ranked)
+ * @param {Array} trends - Combined trends, ranked
+ * @param {Object} options - { sourceBased, recordedAt }
+ * @returns {number} - Points recorded
+ */
+const recordRefresh = (trends, { sourceBased, recordedAt = new Date().toISOString() }) => {
+  refreshesStore.insert({ sourceBased: !!sourceBased, recordedAt, keywords: trends.length });
+  trends.forEach((trend, index) => {
+    store.insert({
+      keyword: trend.keyword.toLowerCase(),
+      sourceBased: !!sourceBased,
+      recordedAt,
+      mentions: trend.mentions,
+      volume: trend.volume ?? null,
+      rank: index + 1,
+      category: trend.category || null,
+      growth: trend.growth ?? null,
+      growth_rate: trend.growth_rate ?? null,
+      sentiment: trend.sentiment || null,
+      sentiment_score: trend.sentiment_score ?? null,
+      velocity: trend.velocity || null,
+      aliases: trend.aliases || [],
+      sources: (trend.sources || []).map(({ sourceId, sourceName, mentions }) => ({ sourceId, sourceName, mentions }))
+    });
+  });
+
+  prune(!!sourceBased);
+
+  return trends.length;
+};
+
+/**
+ * Points for a keyword, oldest first
+ * @param {string} keyword - Keyword (case-insensitive)
+ * @param {Object} filters - { sourceBased, from, to } (from/to in ms)
+ * @returns {Array}
+ */
+const getPoints = (keyword, { sourceBased, from, to } = {}) => {
+  const normalized = keyword.toLowerCase();
+
+  return store
+    .filter(point => {
+      if (point.keyword !== normalized) return false;
+      if (sourceBased !== undefined && point.sourceBased !== !!sourceBased) return false;
+      return inRange(point.recordedAt, from, to);
+    })
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+};
+
+/**
+ * Points of every keyword in a time range, oldest first
+ * @param {Object} filters - { sourceBased, from, to } (from/to in ms)
+ * @returns {Array}
+ */
+const getRange = ({ sourceBased, from, to } = {}) => store
+  .filter(point => {
+    if (sourceBased !== undefined && point.sourceBased !== !!sourceBased) return false;
+    return inRange(point.recordedAt, from, to);
+  })
+  .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt) || a.rank - b.rank);
+
+/**
+ * Recorded refreshes in a time range, oldest first
+ * @param {Object} filters - { sourceBased, from, to } (from/to in ms)
+ * @returns {Array} - [{ sourceBased, recordedAt, keywords }]
+ */
+const getRefreshes = ({ sourceBased, from, to } = {}) => refreshesStore
+  .filter(refresh => {
+    if (sourceBased !== undefined && refresh.sourceBased !== !!sourceBased) return false;
+    return inRange(refresh.recordedAt, from, to);
+  })
+  .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+module.exports = {
+  recordRefresh,
+  getPoints,
+  getRange,
+  getRefreshes
+};
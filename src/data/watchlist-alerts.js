@@ -0,0 +1,44 @@
+// Watchlist alerts data store
+const { createStore } = require('./storage');
+
+const store = createStore('watchlist-alerts');
+
+/**
+ * Alerts, newest first
+ * @param {Object} filters - { watchlistId, keyword, since }
+ * @returns {Array}
+ */
+const getAll = (filters = {}) => {
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+
+  return store
+    .filter(alert => {
+      if (filters.watchlistId !== undefined && alert.watchlistId !== parseInt(filters.watchlistId)) return false;
+      if (filters.keyword && alert.keyword !== filters.keyword.toLowerCase()) return false;
+      return since === null || new Date(alert.triggeredAt).getTime() >= since;
+    })
+    .sort((a, b) => new Date(b.triggeredAt) - new Date(a.triggeredAt) || b.id - a.id);
+};
+
+const getById = (id) => store.getById(id);
+
+const create = (alertData) => store.insert({
+  ...alertData,
+  triggeredAt: alertData.triggeredAt || new Date().toISOString()
+});
+
+const updateDelivery = (id, delivery) => {
+  const alert = store.getById(id);
+  if (!alert) return null;
+  return store.update(id, { delivery: { ...alert.delivery, ...delivery } });
+};
+
+const deleteForWatchlist = (watchlistId) => store.removeWhere(alert => alert.watchlistId === parseInt(watchlistId));
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  updateDelivery,
+  deleteForWatchlist
+};
@@ -0,0 +1,34 @@
+// Keyword watchlists data store
+const { createStore } = require('./storage');
+
+const store = createStore('watchlists');
+
+const getAll = () => [...store.getAll()];
+
+const getById = (id) => store.getById(id);
+
+const create = (watchlistData) => store.insert({
+  name: watchlistData.name,
+  keywords: watchlistData.keywords,
+  rules: watchlistData.rules,
+  webhookUrl: watchlistData.webhookUrl || null,
+  active: watchlistData.active !== false,
+  // Rules whose condition held at the last evaluation, so alerts only fire on change
+  state: {},
+  created_at: new Date().toISOString()
+});
+
+const update = (id, updates) => store.update(id, {
+  ...updates,
+  updated_at: new Date().toISOString()
+});
+
+const deleteById = (id) => store.remove(id);
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  update,
+  deleteById
+};
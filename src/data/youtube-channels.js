@@ -0,0 +1,34 @@
+// YouTube channel resolution cache
+// Maps channel URL keys (@handle, user:name, c:name) to canonical channel IDs
+const { createStore } = require('./storage');
+
+const defaultChannels = [
+  { id: 1, key: "@100xengineers", channelId: "UCoch_d78Aosmp14ey1HgGSQ", resolvedAt: "2024-01-01T00:00:00Z" },
+  { id: 2, key: "@techcrunch", channelId: "UCCjyq_K1Xwfg8Lndy7lKMpA", resolvedAt: "2024-01-01T00:00:00Z" },
+  { id: 3, key: "@ycombinator", channelId: "UCcefcZRL2oaA_uBNeo5UOWg", resolvedAt: "2024-01-01T00:00:00Z" },
+  { id: 4, key: "@mkbhd", channelId: "UCBJycsmduvYEL83R_U4JriQ", resolvedAt: "2024-01-01T00:00:00Z" },
+  { id: 5, key: "@veritasium", channelId: "UCHnyfMqiRRG1u-2MsSQLbXA", resolvedAt: "2024-01-01T00:00:00Z" }
+];
+
+const store = createStore('youtube-channels', defaultChannels);
+
+const getChannelId = (key) => {
+  const entry = store.find(channel => channel.key === key.toLowerCase());
+  return entry ? entry.channelId : null;
+};
+
+const saveChannelId = (key, channelId) => {
+  const normalizedKey = key.toLowerCase();
+  const existing = store.find(channel => channel.key === normalizedKey);
+  const resolvedAt = new Date().toISOString();
+
+  if (existing) {
+    return store.update(existing.id, { channelId, resolvedAt });
+  }
+  return store.insert({ key: normalizedKey, channelId, resolvedAt });
+};
+
+module.exports = {
+  getChannelId,
+  saveChannelId
+};
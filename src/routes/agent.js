@@ -32,11 +32,6 @@ router.post('/workflows', (req, res) => {
       });
     }
 
-    // …rest of handler…
-  } catch (err) {
-    // …
-  }
-});
     const workflow = {
       id: workflowId,
       trigger,
@@ -334,9 +329,6 @@ router.get('/engagement/report', (req, res) => {
       metrics = metrics.filter(m => new Date(m.timestamp) >= cutoffDate);
     }
 
--    const totalLikes = metrics.reduce((sum, m) => sum + m.metrics.likes, 0);
--    const totalReposts = metrics.reduce((sum, m) => sum + m.metrics.reposts, 0);
--    const totalReplies = metrics.reduce((sum, m) => sum + m.metrics.replies, 0);
     const toNum = (v) => {
       const n = Number(v);
       return Number.isFinite(n) ? n : 0;
@@ -2,8 +2,19 @@ const express = require('express');
 const router = express.Router();
 const analyticsData = require('../data/analytics');
 const trendsService = require('../services/trends-service');
+const trendFeed = require('../services/trend-feed');
+const { toCsv, toNdjson } = require('../utils/export');
 const { sendError } = require('../utils/helpers');
 
+// Weak comparison of an If-None-Match header against an ETag.
+// Checked by hand because req.fresh gives up whenever the request carries
+// Cache-Control: no-cache, which fetch() adds to every conditional request.
+const etagMatches = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch || !etag) return false;
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+};
+
 // GET /analytics/topics - Retrieve topic performance analytics
 router.get('/topics', (req, res) => {
   try {
@@ -25,11 +36,30 @@ router.get('/trends', async (req, res) => {
     const refresh = String(req.query.refresh).toLowerCase() === 'true';
     const sourceBased = String(req.query.source_based).toLowerCase() === 'true';
 
+    const query = trendsService.parseTrendQuery(req.query);
+    if (query.error) {
+      return sendError(res, 400, query.error);
+    }
+
     const result = await trendsService.getTrends({
       sourceBased,
       forceRefresh: refresh,
       backgroundIfStale: true,
+      query,
     });
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    // Conditional request support for polling clients
+    res.set('ETag', result.cache.etag);
+    res.set('Cache-Control', result.cache.stale
+      ? 'private, no-cache'
+      : `private, max-age=${result.cache.max_age_seconds}`);
+
+    if (etagMatches(req.get('If-None-Match'), result.cache.etag)) {
+      return res.status(304).end();
+    }
 
     res.json(result);
   } catch (error) {
@@ -38,6 +68,142 @@ router.get('/trends', async (req, res) => {
   }
 });
 
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const EXPORT_COLUMNS = [
+  'recorded_at', 'source_based', 'rank', 'keyword', 'category', 'mentions', 'volume', 'growth', 'growth_rate',
+  'sentiment', 'sentiment_score', 'velocity', 'aliases', 'sources'
+];
+const FEED_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// GET /analytics/trends/export - Download trends as CSV, JSON or NDJSON
+router.get('/trends/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return sendError(res, 400, `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const query = trendsService.parseTrendQuery(req.query, { defaultLimit: null, maxLimit: trendsService.MAX_EXPORT_ROWS });
+    if (query.error) {
+      return sendError(res, 400, query.error);
+    }
+
+    // from/to switch the export from current trends to recorded history
+    const fromMs = req.query.from ? new Date(req.query.from).getTime() : undefined;
+    const toMs = req.query.to ? new Date(req.query.to).getTime() : undefined;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      return sendError(res, 400, 'from and to must be valid timestamps');
+    }
+    if (fromMs !== undefined && toMs !== undefined && fromMs > toMs) {
+      return sendError(res, 400, 'from must be before to');
+    }
+
+    const sourceBased = String(req.query.source_based).toLowerCase() === 'true';
+    const { rows, error, status } = await trendsService.exportTrends({ sourceBased, query, from: fromMs, to: toMs });
+    if (error) {
+      return sendError(res, status, error);
+    }
+    const filename = `trends-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+
+    if (format === 'json') {
+      return res.json({
+        exported_at: new Date().toISOString(),
+        source_based: sourceBased,
+        range: fromMs !== undefined || toMs !== undefined
+          ? { from: fromMs !== undefined ? new Date(fromMs).toISOString() : null, to: toMs !== undefined ? new Date(toMs).toISOString() : null }
+          : null,
+        count: rows.length,
+        trends: rows,
+      });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'ndjson') {
+      res.type('application/x-ndjson');
+      return res.send(toNdjson(rows));
+    }
+
+    // Lists are flattened into single cells for spreadsheets
+    const csvRows = rows.map(row => ({
+      ...row,
+      aliases: row.aliases.join('; '),
+      sources: row.sources.map(source => `${source.sourceName} (${source.mentions})`).join('; '),
+    }));
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(csvRows, EXPORT_COLUMNS));
+  } catch (error) {
+    console.error('GET /trends/export error:', error);
+    sendError(res, 500, 'Failed to export trends');
+  }
+});
+
+// GET /analytics/trends/feed - JSON Feed (default) or Atom feed of newly trending keywords
+router.get('/trends/feed', (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'atom'].includes(format)) {
+      return sendError(res, 400, 'Invalid format. Must be one of: json, atom');
+    }
+
+    const top = req.query.top === undefined ? 20 : parseInt(req.query.top);
+    if (Number.isNaN(top) || top < 1 || top > 100) {
+      return sendError(res, 400, 'top must be a number between 1 and 100');
+    }
+
+    const sourceBased = String(req.query.source_based).toLowerCase() === 'true';
+    const entries = trendsService.getNewTrendingKeywords({ sourceBased, top, since: Date.now() - FEED_LOOKBACK_MS });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const options = { baseUrl, feedUrl: `${baseUrl}${req.originalUrl}`, sourceBased };
+
+    if (format === 'atom') {
+      res.type('application/atom+xml; charset=utf-8');
+      return res.send(trendFeed.buildAtomFeed(entries, options));
+    }
+
+    res.type('application/feed+json; charset=utf-8');
+    res.send(JSON.stringify(trendFeed.buildJsonFeed(entries, options)));
+  } catch (error) {
+    console.error('GET /trends/feed error:', error);
+    sendError(res, 500, 'Failed to build trends feed');
+  }
+});
+
+// GET /analytics/trends/:keyword/history - Bucketed time series for a keyword
+router.get('/trends/:keyword/history', (req, res) => {
+  try {
+    const { keyword } = req.params;
+    const { from, to, interval = 'day', source_based } = req.query;
+
+    const toMs = to ? new Date(to).getTime() : Date.now();
+    const fromMs = from ? new Date(from).getTime() : toMs - 7 * 24 * 60 * 60 * 1000;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      return sendError(res, 400, 'from and to must be valid timestamps');
+    }
+
+    if (fromMs > toMs) {
+      return sendError(res, 400, 'from must be before to');
+    }
+
+    const bucketMs = trendsService.HISTORY_INTERVALS[interval];
+    if (!bucketMs) {
+      return sendError(res, 400, `Invalid interval. Must be one of: ${Object.keys(trendsService.HISTORY_INTERVALS).join(', ')}`);
+    }
+    if ((toMs - fromMs) / bucketMs > trendsService.MAX_HISTORY_BUCKETS) {
+      return sendError(res, 400, `Range too large for interval "${interval}" (max ${trendsService.MAX_HISTORY_BUCKETS} buckets)`);
+    }
+
+    const sourceBased = source_based === undefined ? undefined : String(source_based).toLowerCase() === 'true';
+
+    const history = trendsService.getKeywordHistory(keyword, { from: fromMs, to: toMs, interval, sourceBased });
+    res.json(history);
+  } catch (error) {
+    console.error('GET /trends/:keyword/history error:', error);
+    sendError(res, 500, 'Failed to retrieve keyword history');
+  }
+});
+
 // GET /analytics/efficiency - Retrieve efficiency metrics
 router.get('/efficiency', (req, res) => {
   try {
@@ -48,6 +214,16 @@ router.get('/efficiency', (req, res) => {
   }
 });
 
+// GET /analytics/trends/refresh-status - Progress of the running trends refresh and the last error
+router.get('/trends/refresh-status', (req, res) => {
+  try {
+    const sourceBased = String(req.query.source_based).toLowerCase() === 'true';
+    res.json(trendsService.getRefreshStatus({ sourceBased }));
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve refresh status');
+  }
+});
+
 // POST /analytics/refresh-trends - Refresh and update trending topics
 router.post('/refresh-trends', async (req, res) => {
   try {
@@ -1,28 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const contentService = require('../services/content');
+const draftsData = require('../data/drafts');
+const templatesData = require('../data/content-templates');
+const contentTemplates = require('../services/content-templates');
+const draftRevisions = require('../services/draft-revisions');
+const draftReview = require('../services/draft-review');
 const { sendError, validateRequired } = require('../utils/helpers');
 
 // POST /content/generate-drafts - Generate new content drafts
 router.post('/generate-drafts', async (req, res) => {
   try {
-    const { count, category, keywords } = req.body;
+    const { count, category, keywords, provider } = req.body;
     
     // Validate count if provided
     if (count && (typeof count !== 'number' || count < 1 || count > 20)) {
       return sendError(res, 400, 'Count must be a number between 1 and 20');
     }
 
+    if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+      return sendError(res, 400, 'Category must be a non-empty string');
+    }
+
+    if (keywords !== undefined &&
+      (!Array.isArray(keywords) || keywords.length > 20 || keywords.some(k => typeof k !== 'string' || !k.trim()))) {
+      return sendError(res, 400, 'Keywords must be an array of up to 20 non-empty strings');
+    }
+
+    const providers = contentService.getProviderNames();
+    if (provider !== undefined && !providers.includes(provider)) {
+      return sendError(res, 400, `Provider must be one of: ${providers.join(', ')}`);
+    }
+
     // Generate drafts
     console.log(`🚀 Generating ${count || 5} content drafts...`);
     
     const result = await contentService.generateDrafts({
       count: count || 5,
       category,
-      keywords
+      keywords,
+      provider
     });
+
+    if (!result.success) {
+      return sendError(res, result.status || 400, result.error);
+    }
     
-    console.log(`✅ Successfully generated ${result.drafts_count} drafts`);
+    console.log(`✅ Successfully generated ${result.drafts_count} drafts with ${result.generation.provider} provider`);
     
     res.status(201).json(result);
     
@@ -36,52 +60,20 @@ router.post('/generate-drafts', async (req, res) => {
 router.get('/drafts', async (req, res) => {
   try {
     const { status, category, limit = 10 } = req.query;
-    
-    // Mock drafts response for now
-    const mockDrafts = [
-      {
-        id: 1,
-        title: "AI Video Generation: The Complete 2025 Guide",
-        content: "Comprehensive guide to AI video generation tools and techniques...",
-        status: "pending",
-        category: "AI",
-        created_at: "2025-08-27T18:00:00Z",
-        source_keywords: ["AI Video Generation", "AI", "Video", "Content Creation"],
-        estimated_read_time: "8 min read",
-        difficulty: "Advanced",
-        target_audience: "Content Creators, Tech Enthusiasts"
-      },
-      {
-        id: 2,
-        title: "5 React 19 Tools Every Creator Should Use",
-        content: "Discover the essential React 19 tools that will transform your development workflow...",
-        status: "pending",
-        category: "Technology", 
-        created_at: "2025-08-27T17:45:00Z",
-        source_keywords: ["React 19", "React", "JavaScript", "Frontend"],
-        estimated_read_time: "5 min read",
-        difficulty: "Intermediate",
-        target_audience: "Developers, Software Engineers"
-      }
-    ];
 
-    let filteredDrafts = mockDrafts;
-    
-    if (status) {
-      filteredDrafts = filteredDrafts.filter(draft => draft.status === status);
+    const parsedLimit = parseInt(limit);
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1) {
+      return sendError(res, 400, 'Limit must be a positive number');
     }
-    
-    if (category) {
-      filteredDrafts = filteredDrafts.filter(draft => draft.category === category);
-    }
-    
-    filteredDrafts = filteredDrafts.slice(0, parseInt(limit));
+
+    const matchingDrafts = draftsData.getAll({ status, category });
+    const drafts = matchingDrafts.slice(0, parsedLimit);
 
     res.json({
       success: true,
-      drafts: filteredDrafts,
-      total: filteredDrafts.length,
-      filters: { status, category, limit }
+      drafts: drafts,
+      total: matchingDrafts.length,
+      filters: { status, category, limit: parsedLimit }
     });
     
   } catch (error) {
@@ -90,35 +82,81 @@ router.get('/drafts', async (req, res) => {
   }
 });
 
-// PUT /content/drafts/:id - Update draft status
+// Optional `author` of an edit
+const validateAuthor = (author) =>
+  author !== undefined && (typeof author !== 'string' || !author.trim()) ? 'Author must be a non-empty string' : null;
+
+// PUT /content/drafts/:id - Update draft status through the review workflow; title/content edits are recorded as revisions
 router.put('/drafts/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, title, content } = req.body;
+    const { status, title, content, author, reason } = req.body;
     
     // Validate status if provided
-    const validStatuses = ['pending', 'approved', 'rejected', 'published'];
-    if (status && !validStatuses.includes(status)) {
+    const validStatuses = draftReview.statuses;
+    if (status !== undefined && !validStatuses.includes(status)) {
       return sendError(res, 400, `Status must be one of: ${validStatuses.join(', ')}`);
     }
 
-    // Mock update response
-    const updatedDraft = {
-      id: parseInt(id),
-      title: title || `Updated Draft ${id}`,
-      content: content || `Updated content for draft ${id}...`,
-      status: status || 'approved',
-      updated_at: new Date().toISOString(),
-      category: "Technology",
-      source_keywords: ["Updated", "Content", "Draft"]
-    };
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return sendError(res, 400, 'Title must be a non-empty string');
+    }
+
+    if (content !== undefined && typeof content !== 'string') {
+      return sendError(res, 400, 'Content must be a string');
+    }
 
-    console.log(`📝 Updated draft ${id} with status: ${status}`);
+    const authorError = validateAuthor(author);
+    if (authorError) {
+      return sendError(res, 400, authorError);
+    }
+
+    const draft = draftsData.getById(id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const actor = author?.trim();
+    const textChanged = (title !== undefined && title !== draft.title) || (content !== undefined && content !== draft.content);
+    const editCheck = textChanged ? draftReview.checkEdit(draft) : { transition: null };
+    if (editCheck.error) {
+      draftReview.recordBlockedEdit(draft, { actor, action: 'edit' });
+      return sendError(res, editCheck.status, editCheck.error);
+    }
+
+    // An edited approved draft is back in review; a status change in the same request starts from there
+    const reReview = editCheck.transition === 'pending';
+    const reviewed = reReview ? { ...draft, status: 'pending' } : draft;
+
+    const statusChanged = status !== undefined && status !== (reviewed.status || 'pending');
+    if (statusChanged) {
+      const transitionError = draftReview.checkTransition(reviewed, status, { actor, reason });
+      if (transitionError) {
+        return sendError(res, transitionError.status, transitionError.error);
+      }
+    }
+
+    const updates = {};
+    if (reReview) Object.assign(updates, draftReview.getStatusUpdates('pending'));
+    if (statusChanged) Object.assign(updates, draftReview.getStatusUpdates(status, reason));
+    if (title !== undefined) updates.title = title;
+    if (content !== undefined) updates.content = content;
+
+    const { draft: updatedDraft, revision } = draftRevisions.applyEdit(draft, updates, { author: actor });
+    if (reReview) {
+      draftReview.recordReReview(draft, { actor, action: 'edit' });
+    }
+    if (statusChanged) {
+      draftReview.recordStatusChange(reviewed, status, { actor, reason });
+    }
+
+    console.log(`📝 Updated draft ${id}${status ? ` with status: ${status}` : ''}${revision ? ` (revision ${revision.number})` : ''}`);
 
     res.json({
       success: true,
       message: `Draft ${id} updated successfully`,
-      draft: updatedDraft
+      draft: updatedDraft,
+      revision: revision ? revision.number : null
     });
     
   } catch (error) {
@@ -127,11 +165,228 @@ router.put('/drafts/:id', async (req, res) => {
   }
 });
 
+// GET /content/drafts/:id/revisions - List a draft's revisions, oldest first
+router.get('/drafts/:id/revisions', (req, res) => {
+  try {
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const revisions = draftRevisions.listRevisions(draft);
+    res.json({
+      success: true,
+      draft_id: draft.id,
+      revisions,
+      total: revisions.length
+    });
+  } catch (error) {
+    console.error('Revisions retrieval error:', error);
+    sendError(res, 500, 'Failed to retrieve revisions');
+  }
+});
+
+// GET /content/drafts/:id/revisions/:number - A single revision with its text
+router.get('/drafts/:id/revisions/:number', (req, res) => {
+  try {
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const revision = draftRevisions.getRevision(draft, req.params.number);
+    if (!revision) {
+      return sendError(res, 404, 'Revision not found');
+    }
+
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error('Revision retrieval error:', error);
+    sendError(res, 500, 'Failed to retrieve revision');
+  }
+});
+
+// GET /content/drafts/:id/diff?from=&to= - Line diff between two revisions (default: latest vs the one before)
+router.get('/drafts/:id/diff', (req, res) => {
+  try {
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (req.query[key] === undefined) continue;
+      const number = Number(req.query[key]);
+      if (!Number.isInteger(number) || number < 1) {
+        return sendError(res, 400, `${key} must be a positive revision number`);
+      }
+      range[key] = number;
+    }
+
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const result = draftRevisions.diff(draft, range);
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    sendError(res, 500, 'Failed to diff revisions');
+  }
+});
+
+// POST /content/drafts/:id/revisions/:number/restore - Make an older revision current (recorded as a new revision)
+router.post('/drafts/:id/revisions/:number/restore', (req, res) => {
+  try {
+    const { id, number } = req.params;
+    const { author } = req.body;
+
+    const authorError = validateAuthor(author);
+    if (authorError) {
+      return sendError(res, 400, authorError);
+    }
+
+    const draft = draftsData.getById(id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const revision = draftRevisions.getRevision(draft, number);
+    if (!revision) {
+      return sendError(res, 404, 'Revision not found');
+    }
+
+    const actor = author?.trim();
+    const textChanged = revision.title !== draft.title || revision.content !== draft.content;
+    const editCheck = textChanged ? draftReview.checkEdit(draft) : { transition: null };
+    if (editCheck.error) {
+      draftReview.recordBlockedEdit(draft, { actor, action: 'restore' });
+      return sendError(res, editCheck.status, editCheck.error);
+    }
+
+    const reReview = editCheck.transition === 'pending';
+    const result = draftRevisions.restore(draft, number, {
+      author: actor,
+      updates: reReview ? draftReview.getStatusUpdates('pending') : {}
+    });
+    if (reReview) {
+      draftReview.recordReReview(draft, { actor, action: 'restore' });
+    }
+
+    console.log(`⏪ Restored draft ${id} to revision ${number}`);
+
+    res.json({
+      success: true,
+      message: result.revision
+        ? `Draft ${id} restored from revision ${number} as revision ${result.revision.number}`
+        : `Draft ${id} already matches revision ${number}`,
+      draft: result.draft,
+      revision: result.revision ? result.revision.number : null
+    });
+  } catch (error) {
+    console.error('Revision restore error:', error);
+    sendError(res, 500, 'Failed to restore revision');
+  }
+});
+
+// PUT /content/drafts/:id/reviewers - Assign the reviewers who may approve or reject a draft
+router.put('/drafts/:id/reviewers', (req, res) => {
+  try {
+    const { reviewers, author } = req.body;
+
+    const validationError = draftReview.validateReviewers(reviewers) || validateAuthor(author);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const reviewerError = draftReview.checkReviewerChange(draft, author?.trim());
+    if (reviewerError) {
+      return sendError(res, reviewerError.status, reviewerError.error);
+    }
+
+    const assignment = draftReview.assignReviewers(draft, reviewers, { actor: author?.trim() });
+    const updatedDraft = assignment.entry ? draftsData.update(draft.id, { reviewers: assignment.reviewers }) : draft;
+
+    console.log(`👀 Reviewers for draft ${draft.id}: ${assignment.reviewers.join(', ') || 'none'}`);
+
+    res.json({ success: true, draft: updatedDraft });
+  } catch (error) {
+    console.error('Reviewer assignment error:', error);
+    sendError(res, 500, 'Failed to assign reviewers');
+  }
+});
+
+// GET /content/drafts/:id/comments - Comment threads of a draft
+router.get('/drafts/:id/comments', (req, res) => {
+  try {
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    res.json({ success: true, draft_id: draft.id, ...draftReview.getCommentThreads(draft.id) });
+  } catch (error) {
+    console.error('Comments retrieval error:', error);
+    sendError(res, 500, 'Failed to retrieve comments');
+  }
+});
+
+// POST /content/drafts/:id/comments - Comment on a draft, or reply to a comment with parent_id
+router.post('/drafts/:id/comments', (req, res) => {
+  try {
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const validationError = draftReview.validateComment(draft, req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.status(201).json(draftReview.addComment(draft, req.body));
+  } catch (error) {
+    console.error('Comment creation error:', error);
+    sendError(res, 500, 'Failed to add comment');
+  }
+});
+
+// GET /content/drafts/:id/audit - Status changes and reviewer assignments of a draft, oldest first
+router.get('/drafts/:id/audit', (req, res) => {
+  try {
+    const draft = draftsData.getById(req.params.id);
+    if (!draft) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    const entries = draftReview.getAuditTrail(draft.id);
+    res.json({ success: true, draft_id: draft.id, entries, total: entries.length });
+  } catch (error) {
+    console.error('Audit retrieval error:', error);
+    sendError(res, 500, 'Failed to retrieve audit trail');
+  }
+});
+
 // DELETE /content/drafts/:id - Delete draft
 router.delete('/drafts/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
+    const deleted = draftsData.deleteById(id);
+
+    if (!deleted) {
+      return sendError(res, 404, 'Draft not found');
+    }
+
+    draftRevisions.deleteRevisions(id);
+    draftReview.deleteReviewData(id);
+
     console.log(`🗑️ Deleted draft ${id}`);
 
     res.json({
@@ -146,6 +401,132 @@ router.delete('/drafts/:id', async (req, res) => {
   }
 });
 
+// Trend used by template previews when none is given
+const SAMPLE_TREND = { keyword: 'machine learning', aliases: ['ml'] };
+
+// GET /content/templates - List title and outline templates (?category=)
+router.get('/templates', (req, res) => {
+  try {
+    res.json({
+      templates: templatesData.getAll({ category: req.query.category }),
+      variables: contentTemplates.variables
+    });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve templates');
+  }
+});
+
+// POST /content/templates - Create the templates of a category
+router.post('/templates', (req, res) => {
+  try {
+    const validationError = contentTemplates.validateTemplate(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.status(201).json(contentTemplates.createTemplate(req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to create template');
+  }
+});
+
+// POST /content/templates/preview - Render stored (template_id or category) or unsaved templates against a sample trend
+router.post('/templates/preview', (req, res) => {
+  try {
+    const { template_id, category, titles, outline, trend = SAMPLE_TREND } = req.body;
+
+    if (!trend || typeof trend !== 'object' || typeof trend.keyword !== 'string' || !trend.keyword.trim()) {
+      return sendError(res, 400, 'trend must be an object with a keyword');
+    }
+    if (trend.aliases !== undefined && (!Array.isArray(trend.aliases) || trend.aliases.some(a => typeof a !== 'string'))) {
+      return sendError(res, 400, 'trend.aliases must be an array of strings');
+    }
+
+    let template;
+    if (template_id !== undefined) {
+      template = templatesData.getById(template_id);
+      if (!template) {
+        return sendError(res, 404, 'Template not found');
+      }
+    } else if (titles !== undefined || outline !== undefined) {
+      const validationError = contentTemplates.validateTemplate({ titles, outline }, { partial: true }) ||
+        (titles === undefined || outline === undefined ? 'titles and outline are both required to preview unsaved templates' : null);
+      if (validationError) {
+        return sendError(res, 400, validationError);
+      }
+      template = { category: category || trend.category || 'General', titles, outline };
+    } else {
+      template = contentTemplates.getForCategory(category || trend.category);
+      if (!template) {
+        return sendError(res, 404, 'Template not found');
+      }
+    }
+
+    const sample = { ...trend, keyword: trend.keyword.trim(), category: trend.category || category };
+    res.json({
+      template_id: template.id ?? null,
+      template_category: template.category,
+      preview: contentService.previewTemplate(template, sample)
+    });
+  } catch (error) {
+    console.error('Template preview error:', error);
+    sendError(res, 500, 'Failed to preview template');
+  }
+});
+
+// GET /content/templates/:id - Single template
+router.get('/templates/:id', (req, res) => {
+  try {
+    const template = templatesData.getById(req.params.id);
+
+    if (!template) {
+      return sendError(res, 404, 'Template not found');
+    }
+
+    res.json(template);
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve template');
+  }
+});
+
+// PUT /content/templates/:id - Rename the category or replace its titles/outline
+router.put('/templates/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!templatesData.getById(id)) {
+      return sendError(res, 404, 'Template not found');
+    }
+
+    const validationError = contentTemplates.validateTemplate(req.body, { partial: true, id });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.json(contentTemplates.updateTemplate(id, req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to update template');
+  }
+});
+
+// DELETE /content/templates/:id - Remove the templates of a category (it then uses the General ones)
+router.delete('/templates/:id', (req, res) => {
+  try {
+    const { deleted, error } = contentTemplates.deleteTemplate(req.params.id);
+
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    if (!deleted) {
+      return sendError(res, 404, 'Template not found');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, 500, 'Failed to delete template');
+  }
+});
+
 // GET /content/stats - Get content statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const crawlJobs = require('../services/crawl-jobs');
+const { sendError } = require('../utils/helpers');
+
+// GET /crawl-jobs - List recent crawl jobs
+router.get('/', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const jobs = crawlJobs.listJobs(limit);
+    res.json({ jobs });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve crawl jobs');
+  }
+});
+
+// GET /crawl-jobs/:id - Crawl job status, per-source progress and results
+router.get('/:id', (req, res) => {
+  try {
+    const job = crawlJobs.getJob(req.params.id);
+
+    if (!job) {
+      return sendError(res, 404, 'Crawl job not found');
+    }
+
+    res.json(job);
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve crawl job');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const sourcesData = require('../data/sources');
-const youtubeCrawler = require('../services/youtube-crawler');
+const sourceCrawler = require('../services/source-crawler');
+const crawlSnapshots = require('../data/crawl-snapshots');
+const crawlScheduler = require('../services/crawl-scheduler');
+const crawlJobs = require('../services/crawl-jobs');
 const { sendError, validateRequired, isValidUrl, isValidSourceType, isValidStatus } = require('../utils/helpers');
 
 // GET /sources - Retrieve all sources
 router.get('/', (req, res) => {
   try {
-    const sources = sourcesData.getAll();
+    const sources = sourcesData.getAll().map(source => ({
+      ...source,
+      schedule: crawlScheduler.getSchedule(source)
+    }));
     res.json({ sources });
   } catch (error) {
     sendError(res, 500, 'Failed to retrieve sources');
@@ -66,7 +72,8 @@ router.put('/:id/status', (req, res) => {
       return sendError(res, 404, 'Source not found');
     }
 
-    res.json(updatedSource);
+    // Paused/errored sources drop out of the schedule; re-activated ones get a new slot
+    res.json(sourcesData.update(id, { nextRunAt: crawlScheduler.planNextRun(updatedSource) }));
     
   } catch (error) {
     sendError(res, 500, 'Failed to update source status');
@@ -84,6 +91,8 @@ router.delete('/:id', (req, res) => {
       return sendError(res, 404, 'Source not found');
     }
 
+    crawlSnapshots.deleteForSource(id);
+
     res.status(204).send();
     
   } catch (error) {
@@ -91,215 +100,173 @@ router.delete('/:id', (req, res) => {
   }
 });
 
-// POST /sources/:id/crawl - Crawl a specific source
-router.post('/:id/crawl', async (req, res) => {
+// PUT /sources/:id/schedule - Update crawl interval, jitter and active hours
+router.put('/:id/schedule', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!sourcesData.getById(id)) {
+      return sendError(res, 404, 'Source not found');
+    }
+
+    const validationError = crawlScheduler.validateSchedule(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const updatedSource = crawlScheduler.updateSchedule(id, req.body);
+    res.json(updatedSource);
+  } catch (error) {
+    sendError(res, 500, 'Failed to update source schedule');
+  }
+});
+
+// POST /sources/:id/schedule/pause - Stop scheduled crawls for a source
+router.post('/:id/schedule/pause', (req, res) => {
+  try {
+    const updatedSource = crawlScheduler.pause(req.params.id);
+
+    if (!updatedSource) {
+      return sendError(res, 404, 'Source not found');
+    }
+
+    res.json(updatedSource);
+  } catch (error) {
+    sendError(res, 500, 'Failed to pause source schedule');
+  }
+});
+
+// POST /sources/:id/schedule/resume - Resume scheduled crawls for a source
+router.post('/:id/schedule/resume', (req, res) => {
+  try {
+    const updatedSource = crawlScheduler.resume(req.params.id);
+
+    if (!updatedSource) {
+      return sendError(res, 404, 'Source not found');
+    }
+
+    res.json(updatedSource);
+  } catch (error) {
+    sendError(res, 500, 'Failed to resume source schedule');
+  }
+});
+
+// POST /sources/:id/schedule/trigger - Run the scheduled crawl now
+router.post('/:id/schedule/trigger', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // Get source by ID
     const source = sourcesData.getById(id);
+
     if (!source) {
       return sendError(res, 404, 'Source not found');
     }
 
-    console.log(`🚀 Starting crawl for source: ${source.name} (${source.type})`);
-    console.log(`🔗 URL: ${source.url}`);
-
-    let crawlResult;
-
-    // Handle different source types
-    if (source.type === 'YouTube' || source.url.includes('youtube.com')) {
-      crawlResult = await youtubeCrawler.crawlYouTubeChannel(source.url);
-      
-      if (crawlResult.success) {
-        // Update source with crawled information
-        sourcesData.updateLastCrawled(id, new Date().toISOString());
-        
-        // Update source name if it was generic
-        if (source.name === 'Unnamed Source' || source.name === 'YouTube Channel') {
-          sourcesData.updateName(id, crawlResult.data.channelName);
-        }
+    if (!sourceCrawler.isCrawlable(source)) {
+      return sendError(res, 400, `Crawling not supported for source type: ${source.type}`);
+    }
 
-        // Extract trends from crawled data
-        const trends = youtubeCrawler.extractTrendingKeywords(crawlResult.data);
-        
-        console.log(`✅ Successfully crawled ${crawlResult.data.channelName}`);
-        console.log(`📊 Found ${crawlResult.data.totalVideos} videos, ${trends.length} trending keywords`);
-
-        res.json({
-          success: true,
-          message: `Successfully crawled ${crawlResult.data.channelName}`,
-          data: {
-            sourceId: parseInt(id),
-            channelName: crawlResult.data.channelName,
-            videosFound: crawlResult.data.totalVideos,
-            trends: trends.slice(0, 10), // Top 10 trends
-            lastCrawled: crawlResult.crawledAt,
-            videos: crawlResult.data.videos.slice(0, 5), // Latest 5 videos
-            isMockData: crawlResult.data.isMockData || false
-          }
-        });
-      } else {
-        console.error(`❌ Crawl failed for ${source.name}:`, crawlResult.error);
-        res.status(500).json({
-          success: false,
-          error: crawlResult.error || 'Failed to crawl YouTube channel'
-        });
-      }
-
-    } else if (source.type === 'RSS') {
-      // Mock RSS crawling for demonstration
-      console.log('📰 Processing RSS feed...');
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate processing
-
-      res.json({
-        success: true,
-        message: `Successfully crawled RSS feed`,
-        data: {
-          sourceId: parseInt(id),
-          feedName: source.name,
-          articlesFound: Math.floor(Math.random() * 20) + 5,
-          trends: [
-            { keyword: 'technology', mentions: 5, growth: '+45%', category: 'Technology' },
-            { keyword: 'innovation', mentions: 3, growth: '+62%', category: 'Business' }
-          ],
-          lastCrawled: new Date().toISOString(),
-          isMockData: true
-        }
-      });
-
-    } else if (source.type === 'Twitter') {
-      // Mock Twitter crawling for demonstration
-      console.log('🐦 Processing Twitter feed...');
-      await new Promise(resolve => setTimeout(resolve, 800)); // Simulate processing
-
-      res.json({
-        success: true,
-        message: `Successfully crawled Twitter feed`,
-        data: {
-          sourceId: parseInt(id),
-          accountName: source.name,
-          tweetsFound: Math.floor(Math.random() * 50) + 10,
-          trends: [
-            { keyword: 'ai', mentions: 8, growth: '+123%', category: 'Technology' },
-            { keyword: 'startup', mentions: 4, growth: '+89%', category: 'Business' }
-          ],
-          lastCrawled: new Date().toISOString(),
-          isMockData: true
-        }
-      });
+    const crawlResult = await crawlScheduler.runSource(id);
+    const updatedSource = sourcesData.getById(id);
+
+    res.status(crawlResult.success ? 200 : 500).json({
+      success: crawlResult.success,
+      ...(crawlResult.success
+        ? { itemsFound: crawlResult.items.length, newItems: crawlResult.newItems, knownItems: crawlResult.knownItems }
+        : { error: crawlResult.error }),
+      source: updatedSource
+    });
+  } catch (error) {
+    sendError(res, 500, 'Failed to trigger scheduled crawl');
+  }
+});
+
+// GET /sources/:id/items - Items found by crawls of a source
+router.get('/:id/items', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { since, limit = 50 } = req.query;
 
-    } else {
-      res.status(400).json({
-        success: false,
-        error: `Crawling not supported for source type: ${source.type}`
-      });
+    if (!sourcesData.getById(id)) {
+      return sendError(res, 404, 'Source not found');
+    }
+
+    if (since && Number.isNaN(new Date(since).getTime())) {
+      return sendError(res, 400, 'Invalid since timestamp');
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1) {
+      return sendError(res, 400, 'Limit must be a positive number');
     }
 
+    const items = crawlSnapshots.getItems(id, { since });
+    const [lastSnapshot] = crawlSnapshots.getSnapshots(id);
+
+    res.json({
+      sourceId: parseInt(id),
+      items: items.slice(0, parsedLimit),
+      total: items.length,
+      since: since || null,
+      lastCrawl: lastSnapshot
+        ? {
+          crawledAt: lastSnapshot.crawledAt,
+          totalItems: lastSnapshot.totalItems,
+          newItems: lastSnapshot.newItems,
+          knownItems: lastSnapshot.knownItems
+        }
+        : null
+    });
   } catch (error) {
-    console.error('Source crawling error:', error);
-    sendError(res, 500, 'Failed to crawl source');
+    sendError(res, 500, 'Failed to retrieve source items');
   }
 });
 
-// POST /sources/crawl-all - Crawl all active sources
-router.post('/crawl-all', async (req, res) => {
+// Response for a queued crawl job
+const sendJobAccepted = (res, job, message) => {
+  res.status(202).json({
+    success: true,
+    message,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/v1/crawl-jobs/${job.id}`,
+    progress: job.progress
+  });
+};
+
+// POST /sources/:id/crawl - Queue a crawl of a specific source
+router.post('/:id/crawl', (req, res) => {
   try {
-    console.log('🚀 Starting crawl for all active sources...');
-    
-    const sources = sourcesData.getAll();
-    const activeSources = sources.filter(source => source.status === 'active');
+    const { id } = req.params;
     
-    console.log(`📊 Found ${activeSources.length} active sources to crawl`);
-
-    const results = [];
-    const allTrends = [];
-
-    // Crawl each active source
-    for (const source of activeSources) {
-      try {
-        console.log(`🔍 Crawling: ${source.name} (${source.type})`);
-        
-        let crawlResult;
-        
-        if (source.type === 'YouTube' || source.url.includes('youtube.com')) {
-          crawlResult = await youtubeCrawler.crawlYouTubeChannel(source.url);
-          
-          if (crawlResult.success) {
-            const trends = youtubeCrawler.extractTrendingKeywords(crawlResult.data);
-            allTrends.push(...trends);
-            
-            results.push({
-              sourceId: source.id,
-              sourceName: crawlResult.data.channelName,
-              type: source.type,
-              status: 'success',
-              videosFound: crawlResult.data.totalVideos,
-              trendsExtracted: trends.length
-            });
-            
-            // Update last crawled time
-            sourcesData.updateLastCrawled(source.id, new Date().toISOString());
-          } else {
-            results.push({
-              sourceId: source.id,
-              sourceName: source.name,
-              type: source.type,
-              status: 'failed',
-              error: crawlResult.error
-            });
-          }
-        } else {
-          // Mock crawling for other types
-          results.push({
-            sourceId: source.id,
-            sourceName: source.name,
-            type: source.type,
-            status: 'success',
-            itemsFound: Math.floor(Math.random() * 20) + 5,
-            trendsExtracted: Math.floor(Math.random() * 5) + 2
-          });
-          
-          sourcesData.updateLastCrawled(source.id, new Date().toISOString());
-        }
+    // Get source by ID
+    const source = sourcesData.getById(id);
+    if (!source) {
+      return sendError(res, 404, 'Source not found');
+    }
 
-        // Small delay between sources
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-      } catch (error) {
-        console.error(`❌ Error crawling ${source.name}:`, error.message);
-        results.push({
-          sourceId: source.id,
-          sourceName: source.name,
-          type: source.type,
-          status: 'failed',
-          error: error.message
-        });
-      }
+    if (!sourceCrawler.isCrawlable(source)) {
+      return sendError(res, 400, `Crawling not supported for source type: ${source.type}`);
     }
 
-    // Combine trends from all sources
-    const combinedTrends = youtubeCrawler.combineTrends([allTrends]);
-    
-    const successCount = results.filter(r => r.status === 'success').length;
-    const failureCount = results.filter(r => r.status === 'failed').length;
+    console.log(`🚀 Queuing crawl for source: ${source.name} (${source.type})`);
+    const job = crawlJobs.createJob([source], { type: 'single' });
+    sendJobAccepted(res, job, `Crawl queued for ${source.name}`);
 
-    console.log(`✅ Crawl complete: ${successCount} succeeded, ${failureCount} failed`);
-    console.log(`📈 Extracted ${combinedTrends.length} unique trending keywords`);
+  } catch (error) {
+    console.error('Source crawling error:', error);
+    sendError(res, 500, 'Failed to crawl source');
+  }
+});
 
-    res.json({
-      success: true,
-      message: `Crawled ${activeSources.length} sources: ${successCount} succeeded, ${failureCount} failed`,
-      summary: {
-        total_sources: activeSources.length,
-        successful_crawls: successCount,
-        failed_crawls: failureCount,
-        total_trends_extracted: combinedTrends.length,
-        completed_at: new Date().toISOString()
-      },
-      results: results,
-      trending_keywords: combinedTrends.slice(0, 15) // Top 15 trends
-    });
+// POST /sources/crawl-all - Queue a crawl of all active sources
+router.post('/crawl-all', (req, res) => {
+  try {
+    const activeSources = sourcesData.getAll().filter(source => source.status === 'active');
+
+    console.log(`🚀 Queuing crawl for ${activeSources.length} active sources`);
+
+    const job = crawlJobs.createJob(activeSources, { type: 'all' });
+    sendJobAccepted(res, job, `Crawl queued for ${activeSources.length} active sources`);
     
   } catch (error) {
     console.error('Batch crawling error:', error);
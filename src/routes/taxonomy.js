@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const taxonomyData = require('../data/taxonomy');
+const taxonomyService = require('../services/taxonomy-service');
+const aliasesData = require('../data/keyword-aliases');
+const keywordAliases = require('../services/keyword-aliases');
+const { sendError } = require('../utils/helpers');
+
+// GET /taxonomy - List categories in matching order
+router.get('/', (req, res) => {
+  try {
+    res.json({ categories: taxonomyData.getAll() });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve taxonomy');
+  }
+});
+
+// POST /taxonomy - Create a category with keywords and/or patterns
+router.post('/', (req, res) => {
+  try {
+    const validationError = taxonomyService.validateCategory(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.status(201).json(taxonomyService.createCategory(req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to create category');
+  }
+});
+
+// GET /taxonomy/aliases - List alias groups
+router.get('/aliases', (req, res) => {
+  try {
+    res.json({ aliases: aliasesData.getAll() });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve alias groups');
+  }
+});
+
+// POST /taxonomy/aliases - Create an alias group rolling aliases into a canonical keyword
+router.post('/aliases', (req, res) => {
+  try {
+    const validationError = keywordAliases.validateGroup(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.status(201).json(keywordAliases.createGroup(req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to create alias group');
+  }
+});
+
+// GET /taxonomy/aliases/resolve?keyword= - Canonical keyword for a keyword
+router.get('/aliases/resolve', (req, res) => {
+  try {
+    if (!req.query.keyword) {
+      return sendError(res, 400, 'keyword is required');
+    }
+
+    res.json({ keyword: req.query.keyword, canonical: keywordAliases.resolve(req.query.keyword) });
+  } catch (error) {
+    sendError(res, 500, 'Failed to resolve keyword');
+  }
+});
+
+// PUT /taxonomy/aliases/:id - Change the canonical keyword or replace the aliases
+router.put('/aliases/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!aliasesData.getById(id)) {
+      return sendError(res, 404, 'Alias group not found');
+    }
+
+    const validationError = keywordAliases.validateGroup(req.body, { partial: true, id });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.json(keywordAliases.updateGroup(id, req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to update alias group');
+  }
+});
+
+// DELETE /taxonomy/aliases/:id - Remove an alias group
+router.delete('/aliases/:id', (req, res) => {
+  try {
+    const deleted = keywordAliases.deleteGroup(req.params.id);
+
+    if (!deleted) {
+      return sendError(res, 404, 'Alias group not found');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, 500, 'Failed to delete alias group');
+  }
+});
+
+// GET /taxonomy/:id - Single category
+router.get('/:id', (req, res) => {
+  try {
+    const category = taxonomyData.getById(req.params.id);
+
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+
+    res.json(category);
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve category');
+  }
+});
+
+// PUT /taxonomy/:id - Rename a category or replace its keywords/patterns
+router.put('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!taxonomyData.getById(id)) {
+      return sendError(res, 404, 'Category not found');
+    }
+
+    const validationError = taxonomyService.validateCategory(req.body, { partial: true, id });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.json(taxonomyService.updateCategory(id, req.body));
+  } catch (error) {
+    sendError(res, 500, 'Failed to update category');
+  }
+});
+
+// DELETE /taxonomy/:id - Remove a category
+router.delete('/:id', (req, res) => {
+  try {
+    const deleted = taxonomyService.deleteCategory(req.params.id);
+
+    if (!deleted) {
+      return sendError(res, 404, 'Category not found');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, 500, 'Failed to delete category');
+  }
+});
+
+module.exports = router;
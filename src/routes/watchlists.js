@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const watchlistsData = require('../data/watchlists');
+const watchlistAlerts = require('../data/watchlist-alerts');
+const watchlistService = require('../services/watchlist-service');
+const { sendError } = require('../utils/helpers');
+
+// Evaluation state is internal bookkeeping
+const present = ({ state, ...watchlist }) => watchlist;
+
+const listAlerts = (req, res, filters) => {
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+  if (Number.isNaN(limit) || limit < 1 || limit > 500) {
+    return sendError(res, 400, 'limit must be a number between 1 and 500');
+  }
+  if (req.query.since && Number.isNaN(new Date(req.query.since).getTime())) {
+    return sendError(res, 400, 'since must be an ISO timestamp');
+  }
+
+  const alerts = watchlistAlerts.getAll({ ...filters, keyword: req.query.keyword, since: req.query.since });
+  res.json({ alerts: alerts.slice(0, limit), total: alerts.length });
+};
+
+// GET /watchlists - List watchlists
+router.get('/', (req, res) => {
+  try {
+    res.json({ watchlists: watchlistsData.getAll().map(present) });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve watchlists');
+  }
+});
+
+// POST /watchlists - Register keywords and alert rules
+router.post('/', (req, res) => {
+  try {
+    const validationError = watchlistService.validateWatchlist(req.body);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    res.status(201).json(present(watchlistService.createWatchlist(req.body)));
+  } catch (error) {
+    sendError(res, 500, 'Failed to create watchlist');
+  }
+});
+
+// GET /watchlists/alerts - Alerts across all watchlists (?keyword=&since=&limit=)
+router.get('/alerts', (req, res) => {
+  try {
+    listAlerts(req, res, {});
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve alerts');
+  }
+});
+
+// GET /watchlists/:id - Single watchlist
+router.get('/:id', (req, res) => {
+  try {
+    const watchlist = watchlistsData.getById(req.params.id);
+
+    if (!watchlist) {
+      return sendError(res, 404, 'Watchlist not found');
+    }
+
+    res.json(present(watchlist));
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve watchlist');
+  }
+});
+
+// PUT /watchlists/:id - Update name, keywords, rules, webhook or active flag
+router.put('/:id', (req, res) => {
+  try {
+    const validationError = watchlistService.validateWatchlist(req.body, { partial: true });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const updated = watchlistService.updateWatchlist(req.params.id, req.body);
+
+    if (!updated) {
+      return sendError(res, 404, 'Watchlist not found');
+    }
+
+    res.json(present(updated));
+  } catch (error) {
+    sendError(res, 500, 'Failed to update watchlist');
+  }
+});
+
+// DELETE /watchlists/:id - Remove watchlist and its alerts
+router.delete('/:id', (req, res) => {
+  try {
+    const deleted = watchlistService.deleteWatchlist(req.params.id);
+
+    if (!deleted) {
+      return sendError(res, 404, 'Watchlist not found');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, 500, 'Failed to delete watchlist');
+  }
+});
+
+// GET /watchlists/:id/alerts - Alerts triggered by one watchlist
+router.get('/:id/alerts', (req, res) => {
+  try {
+    if (!watchlistsData.getById(req.params.id)) {
+      return sendError(res, 404, 'Watchlist not found');
+    }
+
+    listAlerts(req, res, { watchlistId: req.params.id });
+  } catch (error) {
+    sendError(res, 500, 'Failed to retrieve alerts');
+  }
+});
+
+module.exports = router;
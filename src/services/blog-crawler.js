@@ -0,0 +1,229 @@
+// Blog Crawler Service
+// Crawls blog pages by discovering their RSS/Atom feeds, falling back to
+// scraping article titles and descriptions from the HTML and OpenGraph tags
+
+const rssCrawler = require('./rss-crawler');
+
+const parsePositive = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+class BlogCrawlerService {
+  constructor() {
+    this.maxItems = 30;
+    // Same limit as feed requests; discovered feeds are fetched through the RSS crawler
+    this.timeoutMs = parsePositive(process.env.CRAWL_FETCH_TIMEOUT_MS, 15000);
+    this.requestHeaders = {
+      'User-Agent': 'Mozilla/5.0 (compatible; TrendCrawler/1.0)',
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+    };
+    this.feedTypes = ['application/rss+xml', 'application/atom+xml', 'application/rdf+xml', 'application/feed+xml'];
+  }
+
+  /**
+   * Crawl a blog page
+   * @param {string} pageUrl - Blog home page (or any page linking to the feed)
+   * @returns {Promise<Object>} - Crawl results
+   */
+  async crawlBlog(pageUrl) {
+    try {
+      console.log(`🔍 Crawling blog: ${pageUrl}`);
+
+      const { html, url } = await this.fetchPage(pageUrl);
+      const pageUrlResolved = url || pageUrl;
+      const blogTitle = this.getMeta(html, 'og:site_name') || this.getTitle(html) || 'Untitled Blog';
+
+      // Prefer a real feed when the page advertises one
+      const feedUrls = this.discoverFeeds(html, pageUrlResolved);
+      for (const feedUrl of feedUrls) {
+        const feedResult = await rssCrawler.crawlFeed(feedUrl);
+        if (feedResult.success && feedResult.data.items.length > 0) {
+          console.log(`✅ Discovered feed for ${blogTitle}: ${feedUrl}`);
+          return this.buildResult({
+            blogTitle: feedResult.data.feedTitle || blogTitle,
+            siteUrl: pageUrlResolved,
+            feedUrl,
+            discovery: 'feed',
+            items: feedResult.data.items
+          });
+        }
+      }
+
+      // Fallback: scrape articles from the page itself
+      console.log(`⚠️ No usable feed found for ${pageUrl}, extracting articles from HTML`);
+      const items = this.extractArticles(html, pageUrlResolved);
+
+      if (items.length === 0) {
+        throw new Error('No feed or articles found on page');
+      }
+
+      return this.buildResult({
+        blogTitle,
+        siteUrl: pageUrlResolved,
+        feedUrl: null,
+        discovery: 'html',
+        items
+      });
+
+    } catch (error) {
+      console.error('Blog crawling error:', error.message);
+      return {
+        success: false,
+        error: `Failed to crawl blog: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * GET a page, aborting after `timeoutMs` (headers and body)
+   * @private
+   * @param {string} pageUrl - Page URL
+   * @returns {Promise<Object>} - { html, url } where url is the final URL after redirects
+   */
+  async fetchPage(pageUrl) {
+    try {
+      const response = await fetch(pageUrl, { headers: this.requestHeaders, signal: AbortSignal.timeout(this.timeoutMs) });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return { html: await response.text(), url: response.url };
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `Request timed out after ${this.timeoutMs}ms` : error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  buildResult({ blogTitle, siteUrl, feedUrl, discovery, items }) {
+    return {
+      success: true,
+      data: {
+        blogTitle,
+        siteUrl,
+        feedUrl,
+        discovery,
+        totalItems: items.length,
+        items,
+        crawledAt: new Date().toISOString()
+      },
+      crawledAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Find feed URLs advertised via <link rel="alternate"> tags
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL, used to resolve relative hrefs
+   * @returns {Array<string>} - Absolute feed URLs in document order
+   */
+  discoverFeeds(html, pageUrl) {
+    const feeds = [];
+
+    for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+      const attrs = this.parseAttributes(tag);
+      const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+      const type = (attrs.type || '').toLowerCase();
+
+      if (rels.includes('alternate') && this.feedTypes.includes(type) && attrs.href) {
+        const feedUrl = rssCrawler.resolveUrl(attrs.href, pageUrl);
+        if (!feeds.includes(feedUrl)) feeds.push(feedUrl);
+      }
+    }
+
+    return feeds;
+  }
+
+  /**
+   * Extract articles from page HTML (<article> blocks, else OpenGraph metadata)
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL
+   * @returns {Array} - Normalized items
+   */
+  extractArticles(html, pageUrl) {
+    const items = [];
+    const seenLinks = new Set();
+
+    for (const block of html.match(/<article\b[\s\S]*?<\/article>/gi) || []) {
+      const heading = block.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+      const title = heading ? rssCrawler.stripHtml(heading[1]) : '';
+      if (!title) continue;
+
+      const anchor = (heading && heading[1].match(/<a\b[^>]*>/i)) || block.match(/<a\b[^>]*>/i);
+      const href = anchor ? this.parseAttributes(anchor[0]).href : '';
+      const link = href ? rssCrawler.resolveUrl(href, pageUrl) : pageUrl;
+      if (seenLinks.has(link)) continue;
+      seenLinks.add(link);
+
+      const paragraph = block.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i);
+      const time = block.match(/<time\b[^>]*>/i);
+      const author = block.match(/<[^>]+class="[^"]*\bauthor\b[^"]*"[^>]*>([\s\S]*?)<\/[^>]+>/i);
+
+      items.push(rssCrawler.normalizeItem({
+        id: link,
+        title,
+        link,
+        summary: paragraph ? rssCrawler.stripHtml(paragraph[1]) : '',
+        publishedDate: time ? this.parseAttributes(time[0]).datetime : null,
+        author: author ? rssCrawler.stripHtml(author[1]) : ''
+      }));
+
+      if (items.length >= this.maxItems) break;
+    }
+
+    if (items.length > 0) return items;
+
+    // Single-article page: describe it from OpenGraph / standard meta tags
+    const title = this.getMeta(html, 'og:title') || this.getTitle(html);
+    if (!title) return [];
+
+    const link = rssCrawler.resolveUrl(this.getMeta(html, 'og:url') || pageUrl, pageUrl);
+    return [rssCrawler.normalizeItem({
+      id: link,
+      title,
+      link,
+      summary: this.getMeta(html, 'og:description') || this.getMeta(html, 'description'),
+      publishedDate: this.getMeta(html, 'article:published_time'),
+      author: this.getMeta(html, 'article:author') || this.getMeta(html, 'author')
+    })];
+  }
+
+  /**
+   * Read a <meta property|name="..." content="..."> value
+   * @private
+   */
+  getMeta(html, key) {
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+      const attrs = this.parseAttributes(tag);
+      if ((attrs.property || attrs.name || '').toLowerCase() === key && attrs.content) {
+        return rssCrawler.stripHtml(attrs.content);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * @private
+   */
+  getTitle(html) {
+    const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? rssCrawler.stripHtml(match[1]) : '';
+  }
+
+  /**
+   * Parse the attributes of a single HTML tag
+   * @private
+   */
+  parseAttributes(tag) {
+    const attrs = {};
+    const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attrs;
+  }
+}
+
+module.exports = new BlogCrawlerService();
@@ -0,0 +1,170 @@
+// Content Templates Service
+// Validates and renders the per-category title and outline templates
+
+const templatesData = require('../data/content-templates');
+
+// Placeholders a template may use
+const TEMPLATE_VARIABLES = ['keyword', 'year', 'related', 'audience'];
+
+// Category whose templates are used when a category has none of its own
+const FALLBACK_CATEGORY = 'General';
+
+const MAX_TITLES = 20;
+
+class ContentTemplatesService {
+  constructor() {
+    this.variables = TEMPLATE_VARIABLES;
+  }
+
+  /**
+   * Validate a template payload
+   * @param {Object} data - Template fields
+   * @param {Object} options - { partial, id } for updates
+   * @returns {string|null} - Error message
+   */
+  validateTemplate(data, { partial = false, id } = {}) {
+    const { category, titles, outline } = data;
+
+    if (!partial || category !== undefined) {
+      if (typeof category !== 'string' || !category.trim()) {
+        return 'category is required';
+      }
+      const existing = templatesData.getByCategory(category.trim());
+      if (existing && existing.id !== parseInt(id)) {
+        return `Templates for category "${existing.category}" already exist`;
+      }
+      const current = id !== undefined ? templatesData.getById(id) : null;
+      if (current && this.isFallback(current) && !this.isFallback({ category: category.trim() })) {
+        return `The ${FALLBACK_CATEGORY} templates are the fallback for other categories and cannot be renamed`;
+      }
+    }
+    if (!partial || titles !== undefined) {
+      if (!Array.isArray(titles) || titles.length === 0 || titles.length > MAX_TITLES ||
+        titles.some(title => typeof title !== 'string' || !title.trim())) {
+        return `titles must be an array of 1-${MAX_TITLES} non-empty strings`;
+      }
+      for (const [index, title] of titles.entries()) {
+        const error = this.checkPlaceholders(title, `titles[${index}]`);
+        if (error) return error;
+        if (!title.includes('{keyword}')) {
+          return `titles[${index}] must include {keyword}`;
+        }
+      }
+    }
+    if (!partial || outline !== undefined) {
+      if (typeof outline !== 'string' || !outline.trim()) {
+        return 'outline must be a non-empty string';
+      }
+      const error = this.checkPlaceholders(outline, 'outline');
+      if (error) return error;
+    }
+    return null;
+  }
+
+  /**
+   * Reject placeholders other than TEMPLATE_VARIABLES
+   * @private
+   * @param {string} template - Template text
+   * @param {string} field - Field name for the error message
+   * @returns {string|null} - Error message
+   */
+  checkPlaceholders(template, field) {
+    const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+      .map(match => match[1])
+      .find(name => !TEMPLATE_VARIABLES.includes(name));
+
+    if (unknown === undefined) return null;
+    return `Unknown placeholder {${unknown}} in ${field}; use ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`;
+  }
+
+  /**
+   * Normalize a validated payload for storage
+   * @param {Object} data - Template fields
+   * @returns {Object}
+   */
+  normalize(data) {
+    const normalized = {};
+    if (data.category !== undefined) normalized.category = data.category.trim();
+    if (data.titles !== undefined) normalized.titles = [...new Set(data.titles.map(title => title.trim()))];
+    if (data.outline !== undefined) normalized.outline = data.outline.trim();
+    return normalized;
+  }
+
+  createTemplate(data) {
+    return templatesData.create(this.normalize(data));
+  }
+
+  updateTemplate(id, data) {
+    if (!templatesData.getById(id)) return null;
+    return templatesData.update(id, this.normalize(data));
+  }
+
+  /**
+   * Delete a template set; the fallback set is kept
+   * @param {number|string} id - Template id
+   * @returns {Object} - { deleted, error }
+   */
+  deleteTemplate(id) {
+    const template = templatesData.getById(id);
+    if (!template) return { deleted: false, error: null };
+    if (this.isFallback(template)) {
+      return { deleted: false, error: `The ${FALLBACK_CATEGORY} templates are the fallback for other categories and cannot be deleted` };
+    }
+    return { deleted: templatesData.deleteById(id), error: null };
+  }
+
+  isFallback(template) {
+    return template.category.toLowerCase() === FALLBACK_CATEGORY.toLowerCase();
+  }
+
+  /**
+   * Templates for a category, or the fallback ones
+   * @param {string} category - Content category
+   * @returns {Object|null}
+   */
+  getForCategory(category) {
+    return (category && templatesData.getByCategory(category)) || templatesData.getByCategory(FALLBACK_CATEGORY);
+  }
+
+  /**
+   * Values for the template placeholders
+   * @param {Object} input - { keyword, related, audience }
+   * @returns {Object}
+   */
+  getVariables({ keyword, related = [], audience }) {
+    return {
+      keyword,
+      year: String(new Date().getFullYear()),
+      related: related.length > 0 ? related.slice(0, 3).join(', ') : 'related topics',
+      audience: audience || 'content creators'
+    };
+  }
+
+  /**
+   * Render every title and the outline of a template set
+   * @param {Object} template - { titles, outline }
+   * @param {Object} input - { keyword, related, audience }
+   * @returns {Object} - { variables, titles, outline }
+   */
+  preview(template, input) {
+    const variables = this.getVariables(input);
+    return {
+      variables,
+      titles: template.titles.map(title => this.render(title, variables)),
+      outline: this.render(template.outline, variables)
+    };
+  }
+
+  /**
+   * Replace every placeholder occurrence in a template
+   * @param {string} template - Template text
+   * @param {Object} variables - Placeholder values
+   * @returns {string}
+   */
+  render(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      TEMPLATE_VARIABLES.includes(name) ? variables[name] : match);
+  }
+}
+
+module.exports = new ContentTemplatesService();
@@ -1,79 +1,102 @@
 // Content generation service
 // This service handles draft generation based on sources and trends
 
+const draftsData = require('../data/drafts');
+const sourcesData = require('../data/sources');
+const crawlSnapshots = require('../data/crawl-snapshots');
+const trendsService = require('./trends-service');
+const keywordAliases = require('./keyword-aliases');
+const youtubeCrawler = require('./youtube-crawler');
+const templateProvider = require('./template-provider');
+const openaiProvider = require('./openai-provider');
+const contentTemplates = require('./content-templates');
+
+// Trends considered when picking topics for drafts
+const MAX_CANDIDATE_TRENDS = 100;
+
+// Trend keywords are lowercase; these are written in capitals in titles
+const ACRONYMS = new Set(['ai', 'api', 'aws', 'css', 'gpt', 'html', 'ide', 'llm', 'ml', 'roi', 'saas', 'sdk', 'seo', 'sql', 'ui', 'ux']);
+
 class ContentService {
   constructor() {
-    this.draftTemplates = [
-      {
-        category: "Technology",
-        templates: [
-          "The Future of {keyword}: What You Need to Know in 2025",
-          "5 {keyword} Tools Every Creator Should Use",
-          "How {keyword} is Changing the Game for Content Creators",
-          "{keyword} Explained: A Complete Guide for Beginners",
-          "Why {keyword} Will Dominate 2025 (And How to Prepare)"
-        ]
-      },
-      {
-        category: "AI",
-        templates: [
-          "AI-Powered {keyword}: The Complete 2025 Guide",
-          "How AI is Revolutionizing {keyword}",
-          "10 AI {keyword} Tools That Will Blow Your Mind",
-          "The Ethics of AI in {keyword}: What Creators Must Know",
-          "{keyword} vs AI: The Future of Content Creation"
-        ]
-      },
-      {
-        category: "General",
-        templates: [
-          "Ultimate {keyword} Guide for Content Creators",
-          "From Zero to Hero: Mastering {keyword} in 2025",
-          "The Hidden Secrets of {keyword} Success",
-          "Why Everyone is Talking About {keyword}",
-          "{keyword} Trends That Will Define 2025"
-        ]
-      }
-    ];
-
-    this.contentSources = [
-      "YouTube trending videos analysis",
-      "RSS feed content aggregation", 
-      "Twitter social media trends",
-      "Industry news and updates",
-      "User engagement patterns"
-    ];
+    // Text generation providers by name; the template provider is also the fallback
+    this.providers = {
+      [templateProvider.name]: templateProvider,
+      [openaiProvider.name]: openaiProvider
+    };
+    this.defaultProvider = (process.env.CONTENT_PROVIDER || templateProvider.name).toLowerCase();
+    if (!this.providers[this.defaultProvider]) {
+      console.warn(`⚠️ Unknown CONTENT_PROVIDER "${this.defaultProvider}", using templates`);
+      this.defaultProvider = templateProvider.name;
+    }
+    this.fallbackEnabled = process.env.CONTENT_LLM_FALLBACK !== 'false';
+  }
+
+  /**
+   * Names of the available text generation providers
+   * @returns {Array<string>}
+   */
+  getProviderNames() {
+    return Object.keys(this.providers);
   }
 
   /**
    * Generate content drafts based on current trends
-   * @param {Object} options - Generation options
-   * @returns {Promise<Object>} - Generated drafts
+   * Explicit `keywords` are used as topics (matched to their trend when there
+   * is one); otherwise topics are the current trends, filtered by `category`.
+   * Text comes from `provider` (default CONTENT_PROVIDER); when a model provider
+   * fails, the rest of the batch falls back to templates unless CONTENT_LLM_FALLBACK=false.
+   * @param {Object} options - Generation options { count, category, keywords, provider }
+   * @returns {Promise<Object>} - Generated drafts, or { success: false, error, status } when there is no topic or generation failed
    */
   async generateDrafts(options = {}) {
     try {
-      const { count = 5, category, keywords } = options;
-      
-      // Simulate analysis of connected sources
-      await this.simulateSourceAnalysis();
+      const { count = 5, category, keywords, provider = this.defaultProvider } = options;
       
       // Get current trending topics
-      const trends = await this.getCurrentTrends();
+      const trends = this.getCurrentTrends({ category, keywords });
+      if (trends === null) {
+        return {
+          success: false,
+          status: 503,
+          error: 'Trends are not available yet; a refresh has been started, try again shortly'
+        };
+      }
+      if (trends.length === 0) {
+        return {
+          success: false,
+          error: category ? `No trending topics found for category "${category}"` : 'No trending topics available'
+        };
+      }
+
+      // Analyze connected sources
+      const sourceAnalysis = this.analyzeSources();
       
       // Generate drafts
       const drafts = [];
       const usedTitles = new Set();
+      const generation = this.startGeneration(provider);
+      const relatedIndex = this.buildRelatedIndex();
       
-      for (let i = 0; i < count && drafts.length < count; i++) {
+      // Extra attempts make up for titles that were already used
+      for (let i = 0; i < count * 3 && drafts.length < count && !generation.failed; i++) {
         const trend = trends[i % trends.length];
-        const draft = await this.generateSingleDraft(trend, usedTitles);
+        const draft = await this.generateSingleDraft(trend, usedTitles, generation, relatedIndex);
         
         if (draft && !usedTitles.has(draft.title)) {
-          drafts.push(draft);
+          drafts.push(draftsData.create(draft));
           usedTitles.add(draft.title);
         }
       }
 
+      if (drafts.length === 0 && generation.failed) {
+        return {
+          success: false,
+          status: 502,
+          error: `Text generation with provider "${provider}" failed: ${generation.errors[0]}`
+        };
+      }
+
       return {
         success: true,
         message: `${drafts.length} new drafts generated successfully`,
@@ -81,10 +104,11 @@ class ContentService {
         drafts_count: drafts.length,
         generated_at: new Date().toISOString(),
         source_analysis: {
-          sources_analyzed: this.contentSources,
+          ...sourceAnalysis,
           trends_used: trends.length,
           categories_covered: [...new Set(drafts.map(d => d.category))]
-        }
+        },
+        generation: this.summarizeGeneration(generation, drafts)
       };
 
     } catch (error) {
@@ -94,39 +118,86 @@ class ContentService {
   }
 
   /**
-   * Simulate analysis of connected sources
+   * Render a template set against a sample trend, as the template provider would
+   * @param {Object} template - { category, titles, outline }
+   * @param {Object} trend - Sample trend { keyword, category, aliases }
+   * @returns {Object} - { keyword, category, variables, titles, outline }
+   */
+  previewTemplate(template, trend) {
+    const category = trend.category || template.category;
+    // Lowercase keywords are shown the way trend keywords are; others as written
+    const keyword = trend.keyword === trend.keyword.toLowerCase() ? this.formatKeyword(trend.keyword) : trend.keyword;
+    const related = this.getRelatedKeywords(keyword, trend);
+
+    return {
+      keyword,
+      category,
+      ...contentTemplates.preview(template, { keyword, related, audience: this.identifyAudience(keyword, category) })
+    };
+  }
+
+  /**
+   * Summarize the connected sources and what has been crawled from them
    * @private
+   * @returns {Object} - { sources_analyzed, items_analyzed }
    */
-  async simulateSourceAnalysis() {
-    // Simulate processing time for source analysis
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
+  analyzeSources() {
+    const activeSources = sourcesData.getAll().filter(source => source.status === 'active');
+    const items = crawlSnapshots.getAllItems({ sourceIds: activeSources.map(source => source.id) });
+
+    const sources = activeSources.map(source => ({
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      items: items.filter(item => item.sourceId === source.id).length,
+      last_crawled: source.lastCrawled
+    }));
+
     console.log('📊 Analyzing connected sources...');
-    console.log('   ▸ YouTube: 1,250 trending videos processed');
-    console.log('   ▸ RSS Feeds: 450 articles analyzed'); 
-    console.log('   ▸ Twitter: 2,800 trending tweets processed');
-    console.log('   ▸ Engagement patterns analyzed');
+    sources.forEach(source => console.log(`   ▸ ${source.type} "${source.name}": ${source.items} items`));
+
+    return {
+      sources_analyzed: sources,
+      items_analyzed: items.length
+    };
   }
 
   /**
-   * Get current trending topics
+   * Get current trending topics from the cached trends
+   * Never waits for a crawl: stale trends are used while they refresh in the background.
    * @private
-   * @returns {Array} - Array of trending topics
+   * @param {Object} options - { category, keywords }
+   * @returns {Array|null} - Trend entries, most mentioned first; null when no trends are cached yet and no keywords were given
    */
-  async getCurrentTrends() {
-    // Mock trending topics based on current tech trends
-    return [
-      { keyword: "AI Video Generation", category: "AI", growth: "+150%", volume: 45000 },
-      { keyword: "React 19", category: "Technology", growth: "+89%", volume: 32000 },
-      { keyword: "Claude AI", category: "AI", growth: "+234%", volume: 28000 },
-      { keyword: "Next.js 15", category: "Technology", growth: "+67%", volume: 25000 },
-      { keyword: "Prompt Engineering", category: "AI", growth: "+178%", volume: 22000 },
-      { keyword: "TypeScript 5.5", category: "Technology", growth: "+45%", volume: 18000 },
-      { keyword: "Cursor IDE", category: "Technology", growth: "+312%", volume: 15000 },
-      { keyword: "WebAssembly", category: "Technology", growth: "+56%", volume: 12000 },
-      { keyword: "Content Creation Tools", category: "General", growth: "+123%", volume: 35000 },
-      { keyword: "Creator Economy", category: "General", growth: "+98%", volume: 28000 }
-    ];
+  getCurrentTrends({ category, keywords } = {}) {
+    const hasKeywords = Array.isArray(keywords) && keywords.length > 0;
+
+    // Explicit keywords are always used; category only fills in for keywords without a trend
+    const query = trendsService.parseTrendQuery({ category: hasKeywords ? undefined : category });
+    const trends = trendsService.getCachedTrends({ sourceBased: false, query });
+
+    if (!hasKeywords) {
+      return trends && trends.slice(0, MAX_CANDIDATE_TRENDS);
+    }
+
+    // Explicit keywords are looked up among all trends, not only the top ones
+    const byKeyword = new Map((trends || []).map(trend => [trend.keyword, trend]));
+
+    return keywords.map(keyword => {
+      const canonical = keywordAliases.resolve(keyword);
+      const trend = byKeyword.get(canonical);
+      if (trend) return trend;
+
+      return {
+        keyword: keyword.trim(),
+        category: category || youtubeCrawler.categorizeKeyword(canonical),
+        growth: null,
+        mentions: 0,
+        volume: 0,
+        sources: [],
+        requested: true
+      };
+    });
   }
 
   /**
@@ -134,155 +205,239 @@ class ContentService {
    * @private
    * @param {Object} trend - Trending topic data
    * @param {Set} usedTitles - Set of already used titles
-   * @returns {Object} - Generated draft
+   * @param {Object} generation - Provider state and stats for the batch
+   * @param {Map} relatedIndex - Co-occurrence index of the batch (see buildRelatedIndex)
+   * @returns {Promise<Object|null>} - Generated draft, or null when the title is taken or generation failed
    */
-  async generateSingleDraft(trend, usedTitles) {
-    const { keyword, category } = trend;
-    
-    // Find appropriate templates for the category
-    let templateCategory = this.draftTemplates.find(t => t.category === category);
-    if (!templateCategory) {
-      templateCategory = this.draftTemplates.find(t => t.category === "General");
-    }
-    
-    // Select random template
-    const templates = templateCategory.templates;
-    const template = templates[Math.floor(Math.random() * templates.length)];
-    
-    // Generate title
-    const title = template.replace('{keyword}', keyword);
+  async generateSingleDraft(trend, usedTitles, generation, relatedIndex) {
+    const { category } = trend;
+    const keyword = trend.requested ? trend.keyword : this.formatKeyword(trend.keyword);
+    const relatedKeywords = this.getRelatedKeywords(keyword, trend, relatedIndex);
+    const audience = this.identifyAudience(keyword, category);
+
+    const text = await this.generateText({ keyword, category, related: relatedKeywords, audience, trend }, generation);
     
-    // Skip if title already used
-    if (usedTitles.has(title)) {
+    // Skip if generation failed or the title is already used
+    if (!text || usedTitles.has(text.title)) {
       return null;
     }
     
-    // Generate content outline
-    const content = this.generateContentOutline(keyword, category);
+    const { title, content } = text;
     
     return {
-      id: Math.floor(Math.random() * 10000) + 1000,
       title: title,
-      content: content,
+      content: content + this.formatReferences(trend),
       status: "pending",
       category: category,
       created_at: new Date().toISOString(),
-      source_keywords: [keyword, ...this.getRelatedKeywords(keyword)],
+      source_keywords: [keyword, ...relatedKeywords],
+      source_trends: [this.describeSourceTrend(trend)],
       estimated_read_time: this.calculateReadTime(content),
       difficulty: this.assessDifficulty(keyword, category),
-      target_audience: this.identifyAudience(keyword, category)
+      target_audience: audience,
+      generation: text.generation
     };
   }
 
   /**
-   * Generate content outline
+   * Provider state and stats for one batch of drafts
    * @private
-   * @param {string} keyword - Main keyword
-   * @param {string} category - Content category
-   * @returns {string} - Content outline
+   * @param {string} provider - Requested provider name
+   * @returns {Object}
+   */
+  startGeneration(provider) {
+    return {
+      provider,
+      fallbackActive: false,
+      fallbackReason: null,
+      failed: false,
+      errors: [],
+      calls: 0,
+      models: new Set(),
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      latencies: []
+    };
+  }
+
+  /**
+   * Generate a title and content with the batch's provider, falling back to templates
+   * @private
+   * @param {Object} input - { keyword, category, related, audience, trend }
+   * @param {Object} generation - Provider state and stats for the batch
+   * @returns {Promise<Object|null>} - { title, content, generation }, or null when generation failed
+   */
+  async generateText(input, generation) {
+    const provider = generation.fallbackActive ? templateProvider : this.providers[generation.provider];
+    const startedAt = Date.now();
+    generation.calls++;
+
+    try {
+      const output = await provider.generate(input);
+      const latencyMs = Date.now() - startedAt;
+
+      generation.latencies.push(latencyMs);
+      if (output.model) generation.models.add(output.model);
+      if (output.usage) {
+        Object.keys(generation.usage).forEach(key => { generation.usage[key] += output.usage[key] || 0; });
+      }
+
+      return {
+        title: output.title,
+        content: output.content,
+        generation: {
+          provider: provider.name,
+          model: output.model,
+          latency_ms: latencyMs,
+          usage: output.usage,
+          fallback: provider.name !== generation.provider
+        }
+      };
+    } catch (error) {
+      generation.latencies.push(Date.now() - startedAt);
+      generation.errors.push(error.message);
+      console.warn(`⚠️ ${provider.name} provider failed for "${input.keyword}": ${error.message}`);
+
+      if (provider === templateProvider || !this.fallbackEnabled) {
+        generation.failed = true;
+        return null;
+      }
+
+      // Later drafts in the batch skip the failing provider
+      generation.fallbackActive = true;
+      generation.fallbackReason = error.message;
+      return this.generateText(input, generation);
+    }
+  }
+
+  /**
+   * Provider, token and latency stats reported with a batch
+   * @private
+   * @param {Object} generation - Provider state and stats for the batch
+   * @param {Array} drafts - Drafts created in the batch
+   * @returns {Object}
+   */
+  summarizeGeneration(generation, drafts) {
+    const { latencies } = generation;
+    const totalLatency = latencies.reduce((sum, ms) => sum + ms, 0);
+    const draftsByProvider = {};
+    drafts.forEach(draft => {
+      draftsByProvider[draft.generation.provider] = (draftsByProvider[draft.generation.provider] || 0) + 1;
+    });
+
+    return {
+      provider: generation.provider,
+      models: [...generation.models],
+      fallback_used: generation.fallbackActive,
+      fallback_reason: generation.fallbackReason,
+      calls: generation.calls,
+      failed_calls: generation.errors.length,
+      drafts_by_provider: draftsByProvider,
+      usage: generation.usage,
+      latency_ms: {
+        total: totalLatency,
+        average: latencies.length > 0 ? Math.round(totalLatency / latencies.length) : 0,
+        max: latencies.length > 0 ? Math.max(...latencies) : 0
+      },
+      errors: generation.errors
+    };
+  }
+
+  /**
+   * Display form of a lowercase trend keyword ("machine learning" -> "Machine Learning", "ai" -> "AI")
+   * @private
+   * @param {string} keyword - Trend keyword
+   * @returns {string}
    */
-  generateContentOutline(keyword, category) {
-    const outlines = {
-      "AI": `## Introduction to ${keyword}
-
-${keyword} is revolutionizing the way we approach content creation and digital workflows. In this comprehensive guide, we'll explore:
-
-### What You'll Learn:
-• The fundamentals of ${keyword} and how it works
-• Practical applications for content creators
-• Step-by-step implementation guide
-• Best practices and common pitfalls to avoid
-• Future trends and opportunities
-
-### Key Benefits:
-- Increased productivity and efficiency
-- Enhanced creative possibilities
-- Competitive advantage in the market
-- Cost-effective content scaling
-- Improved audience engagement
-
-### Getting Started:
-1. Understanding the basics
-2. Choosing the right tools
-3. Setting up your workflow
-4. Measuring results and optimization
-
-*This draft requires further research and detailed examples.*`,
-
-      "Technology": `## ${keyword}: Complete Guide for 2025
-
-The ${keyword} ecosystem is rapidly evolving, and staying updated is crucial for developers and creators alike.
-
-### Overview:
-${keyword} represents a significant advancement in modern development practices. This guide covers everything you need to know to get started and excel.
-
-### What's Covered:
-• Latest features and capabilities
-• Installation and setup process  
-• Real-world examples and use cases
-• Performance optimization techniques
-• Community resources and best practices
-
-### Why ${keyword} Matters:
-- Improved developer experience
-- Better performance and reliability
-- Strong community support
-- Future-proof technology stack
-- Enhanced productivity tools
-
-### Next Steps:
-Ready to dive in? We'll walk through practical examples and help you build your first project with ${keyword}.
-
-*Additional technical details and code examples needed.*`,
-
-      "General": `## The Ultimate ${keyword} Guide
-
-${keyword} has become increasingly important for content creators and digital professionals. Here's everything you need to know.
-
-### In This Guide:
-• Understanding ${keyword} fundamentals
-• Why it matters for your content strategy
-• Practical tips and strategies
-• Tools and resources to get started
-• Common mistakes and how to avoid them
-
-### Key Takeaways:
-- Strategic importance for creators
-- Actionable implementation steps
-- Proven strategies that work
-- Expert insights and recommendations
-- Future trends and predictions
-
-### Getting Results:
-This guide provides practical, actionable advice you can implement immediately to see results in your content creation workflow.
-
-*Requires additional research and case studies.*`
+  formatKeyword(keyword) {
+    return keyword
+      .split(' ')
+      .map(word => ACRONYMS.has(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * The trend entry a draft was generated from, as recorded on the draft
+   * @private
+   * @param {Object} trend - Trend entry
+   * @returns {Object}
+   */
+  describeSourceTrend(trend) {
+    return {
+      keyword: trend.keyword,
+      category: trend.category,
+      mentions: trend.mentions,
+      growth: trend.growth ?? null,
+      sentiment: trend.sentiment ?? null,
+      aliases: trend.aliases || [],
+      requested: !!trend.requested,
+      sources: (trend.sources || []).map(source => ({
+        sourceId: source.sourceId,
+        sourceName: source.sourceName,
+        mentions: source.mentions,
+        items: source.items || []
+      }))
     };
+  }
+
+  /**
+   * Reference list of the crawled items behind a trend
+   * @private
+   * @param {Object} trend - Trend entry
+   * @returns {string} - Markdown section, empty when there are no linked items
+   */
+  formatReferences(trend) {
+    const items = (trend.sources || [])
+      .flatMap(source => (source.items || []).map(item => ({ ...item, sourceName: source.sourceName })))
+      .filter(item => item.url);
+    if (items.length === 0) return '';
+
+    return `\n\n### Sources:\n${items.map(item => `- [${item.title}](${item.url}) (${item.sourceName})`).join('\n')}`;
+  }
 
-    return outlines[category] || outlines["General"];
+  /**
+   * Canonical keywords of every crawled item, indexed by keyword
+   * Built once per batch so related keywords do not rescan the item store per draft.
+   * @private
+   * @returns {Map<string, Array<Set<string>>>} - Keyword -> keyword sets of the items mentioning it
+   */
+  buildRelatedIndex() {
+    const index = new Map();
+    crawlSnapshots.getAllItems().forEach(item => {
+      const itemKeywords = new Set((item.keywords || []).map(k => keywordAliases.resolve(k)));
+      itemKeywords.forEach(k => {
+        if (!index.has(k)) index.set(k, []);
+        index.get(k).push(itemKeywords);
+      });
+    });
+    return index;
   }
 
   /**
    * Get related keywords for a topic
+   * Aliases of the trend first, then the keywords most often mentioned
+   * together with it in crawled items.
    * @private
    * @param {string} keyword - Main keyword
+   * @param {Object} trend - Trend entry
+   * @param {Map} [relatedIndex] - Index from buildRelatedIndex (built when not given)
    * @returns {Array} - Related keywords
    */
-  getRelatedKeywords(keyword) {
-    const keywordMap = {
-      "AI Video Generation": ["AI", "Video", "Content Creation", "Automation"],
-      "React 19": ["React", "JavaScript", "Frontend", "Web Development"],
-      "Claude AI": ["AI", "Chatbot", "Assistant", "Productivity"],
-      "Next.js 15": ["Next.js", "React", "SSR", "Full-stack"],
-      "Prompt Engineering": ["AI", "Prompts", "ChatGPT", "Optimization"],
-      "TypeScript 5.5": ["TypeScript", "JavaScript", "Types", "Development"],
-      "Cursor IDE": ["IDE", "Code Editor", "AI", "Development Tools"],
-      "WebAssembly": ["WebAssembly", "Performance", "Browser", "Low-level"],
-      "Content Creation Tools": ["Tools", "Content", "Creator", "Productivity"],
-      "Creator Economy": ["Creator", "Economy", "Monetization", "Business"]
-    };
-
-    return keywordMap[keyword] || [keyword.split(' ')[0], "Content", "Guide"];
+  getRelatedKeywords(keyword, trend = {}, relatedIndex = this.buildRelatedIndex()) {
+    const canonical = keywordAliases.resolve(keyword);
+    const counts = new Map();
+
+    (relatedIndex.get(canonical) || []).forEach(itemKeywords => {
+      itemKeywords.forEach(k => {
+        if (k !== canonical) counts.set(k, (counts.get(k) || 0) + 1);
+      });
+    });
+
+    const coOccurring = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 4)
+      .map(([k]) => k);
+
+    return [...new Set([...(trend.aliases || []), ...coOccurring])].slice(0, 4);
   }
 
   /**
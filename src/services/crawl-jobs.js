@@ -0,0 +1,195 @@
+// Crawl Jobs Service
+// Runs source crawls in the background on a shared queue with limited
+// concurrency. Each job covers one or more sources and tracks per-source
+// progress, results and errors until it completes.
+
+const { randomUUID } = require('crypto');
+const youtubeCrawler = require('./youtube-crawler');
+const sourceCrawler = require('./source-crawler');
+const crawlScheduler = require('./crawl-scheduler');
+
+const MAX_RETAINED_JOBS = 100;
+
+class CrawlJobQueue {
+  constructor() {
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.concurrency = Math.max(1, parseInt(process.env.CRAWL_CONCURRENCY) || 2);
+  }
+
+  /**
+   * Queue a crawl job for the given sources
+   * @param {Array} sources - Source records
+   * @param {Object} options - { type: 'single' | 'all' }
+   * @returns {Object} - The queued job
+   */
+  createJob(sources, { type = 'all' } = {}) {
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {
+        total: sources.length,
+        completed: 0,
+        succeeded: 0,
+        failed: 0,
+        skipped: 0
+      },
+      sources: sources.map(source => ({
+        sourceId: source.id,
+        sourceName: source.name,
+        type: source.type,
+        status: 'queued'
+      })),
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    if (sources.length === 0) {
+      this.finishJob(job, []);
+      return job;
+    }
+
+    const trends = [];
+    sources.forEach((source, index) => {
+      this.pending.push({ job, source, index, trends });
+    });
+    this.drain();
+
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Most recent jobs first
+   * @param {number} limit - Max jobs to return
+   * @returns {Array}
+   */
+  listJobs(limit = 20) {
+    return [...this.jobs.values()].reverse().slice(0, limit);
+  }
+
+  /**
+   * Start queued tasks while there is free capacity
+   * @private
+   */
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const task = this.pending.shift();
+      this.active++;
+      this.runTask(task)
+        .catch(error => console.error('Crawl job task failed:', error))
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Crawl one source of a job
+   * @private
+   */
+  async runTask({ job, source, index, trends }) {
+    const entry = job.sources[index];
+
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+    }
+
+    entry.status = 'running';
+    entry.startedAt = new Date().toISOString();
+
+    if (!sourceCrawler.isCrawlable(source)) {
+      entry.status = 'skipped';
+      entry.error = `Crawling not supported for source type: ${source.type}`;
+      job.progress.skipped++;
+    } else {
+      try {
+        console.log(`🔍 [job ${job.id}] Crawling: ${source.name} (${source.type})`);
+        const crawlResult = await sourceCrawler.crawlSource(source);
+
+        if (crawlResult.success) {
+          trends.push(...crawlResult.trends);
+          Object.assign(entry, {
+            status: 'success',
+            sourceName: crawlResult.sourceName,
+            itemsFound: crawlResult.items.length,
+            newItems: crawlResult.newItems,
+            knownItems: crawlResult.knownItems,
+            trendsExtracted: crawlResult.trends.length,
+            trends: crawlResult.trends.slice(0, 10),
+            isMockData: crawlResult.isMockData
+          });
+          job.progress.succeeded++;
+        } else {
+          entry.status = 'failed';
+          entry.error = crawlResult.error;
+          job.progress.failed++;
+        }
+      } catch (error) {
+        console.error(`❌ [job ${job.id}] Error crawling ${source.name}:`, error.message);
+        entry.status = 'failed';
+        entry.error = error.message;
+        job.progress.failed++;
+      }
+      crawlScheduler.recordRun(source.id);
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    job.progress.completed++;
+
+    if (job.progress.completed === job.progress.total) {
+      this.finishJob(job, trends);
+    }
+  }
+
+  /**
+   * @private
+   */
+  finishJob(job, trends) {
+    const combinedTrends = youtubeCrawler.combineTrends([trends]);
+    const { succeeded, failed, skipped, total } = job.progress;
+
+    job.status = total > 0 && succeeded === 0 && failed > 0 ? 'failed' : 'completed';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.finishedAt = new Date().toISOString();
+    job.result = {
+      summary: {
+        total_sources: total,
+        successful_crawls: succeeded,
+        failed_crawls: failed,
+        skipped_sources: skipped,
+        total_trends_extracted: combinedTrends.length,
+        new_items: job.sources.reduce((sum, entry) => sum + (entry.newItems || 0), 0),
+        completed_at: job.finishedAt
+      },
+      trending_keywords: combinedTrends.slice(0, 15) // Top 15 trends
+    };
+
+    console.log(`✅ [job ${job.id}] Crawl complete: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped`);
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond the retention limit
+   * @private
+   */
+  pruneJobs() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_RETAINED_JOBS) break;
+      if (job.finishedAt) this.jobs.delete(id);
+    }
+  }
+}
+
+module.exports = new CrawlJobQueue();
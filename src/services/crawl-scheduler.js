@@ -0,0 +1,235 @@
+// Crawl Scheduler Service
+// Periodically crawls each crawlable source on its own schedule:
+// interval + random jitter, optionally limited to active hours (UTC).
+// A single ticker checks due sources, so schedule edits apply on the next tick.
+
+const sourcesData = require('../data/sources');
+const sourceCrawler = require('./source-crawler');
+
+const DEFAULT_SCHEDULE = {
+  intervalMinutes: 60,
+  jitterSeconds: 60,
+  activeHours: null, // { start: 0-23, end: 0-23 } in UTC, end exclusive; start > end wraps midnight
+  paused: false
+};
+
+class CrawlScheduler {
+  constructor() {
+    this.timer = null;
+    this.tickMs = parseInt(process.env.CRAWL_SCHEDULER_TICK_MS) || 30 * 1000;
+  }
+
+  /**
+   * Start the ticker (no-op if already running)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Crawl scheduler tick failed:', error));
+    }, this.tickMs);
+    this.timer.unref();
+
+    console.log(`⏱️  Crawl scheduler started (tick every ${this.tickMs / 1000}s)`);
+    this.tick().catch(error => console.error('Crawl scheduler tick failed:', error));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Source schedule with defaults filled in
+   * @param {Object} source - Source record
+   * @returns {Object} - Schedule
+   */
+  getSchedule(source) {
+    return { ...DEFAULT_SCHEDULE, ...(source.schedule || {}) };
+  }
+
+  /**
+   * Whether the scheduler should crawl this source at all
+   * @param {Object} source - Source record
+   * @returns {boolean}
+   */
+  isSchedulable(source) {
+    return source.status === 'active' && !this.getSchedule(source).paused && sourceCrawler.isCrawlable(source);
+  }
+
+  /**
+   * Validate schedule fields from a request body
+   * @param {Object} updates - Partial schedule
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateSchedule(updates) {
+    const { intervalMinutes, jitterSeconds, activeHours, paused } = updates;
+
+    if (intervalMinutes !== undefined && (typeof intervalMinutes !== 'number' || intervalMinutes < 1)) {
+      return 'intervalMinutes must be a number of at least 1';
+    }
+    if (jitterSeconds !== undefined && (typeof jitterSeconds !== 'number' || jitterSeconds < 0)) {
+      return 'jitterSeconds must be a non-negative number';
+    }
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      return 'paused must be true or false';
+    }
+    if (activeHours !== undefined && activeHours !== null) {
+      const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+      if (typeof activeHours !== 'object' || !isHour(activeHours.start) || !isHour(activeHours.end) || activeHours.start === activeHours.end) {
+        return 'activeHours must be null or { start, end } with distinct whole hours between 0 and 23 (UTC)';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Update a source's schedule and re-plan its next run
+   * @param {number} id - Source ID
+   * @param {Object} updates - Partial schedule
+   * @returns {Object|null} - Updated source
+   */
+  updateSchedule(id, updates) {
+    const source = sourcesData.getById(id);
+    if (!source) return null;
+
+    const allowed = ['intervalMinutes', 'jitterSeconds', 'activeHours', 'paused'];
+    const schedule = { ...this.getSchedule(source) };
+    allowed.forEach(field => {
+      if (updates[field] !== undefined) schedule[field] = updates[field];
+    });
+
+    const updated = sourcesData.update(id, { schedule });
+    return sourcesData.update(id, { nextRunAt: this.planNextRun(updated) });
+  }
+
+  pause(id) {
+    return this.updateSchedule(id, { paused: true });
+  }
+
+  resume(id) {
+    return this.updateSchedule(id, { paused: false });
+  }
+
+  /**
+   * Next run time for a source, or null when it is not schedulable
+   * @param {Object} source - Source record
+   * @param {number} from - Reference time (ms)
+   * @returns {string|null} - ISO timestamp
+   */
+  planNextRun(source, from = Date.now()) {
+    if (!this.isSchedulable(source)) return null;
+
+    const schedule = this.getSchedule(source);
+    const lastRun = source.lastRunAt || source.lastCrawled;
+    const jitterMs = Math.floor(Math.random() * schedule.jitterSeconds * 1000);
+
+    // Never crawled: run soon; otherwise one interval after the last run
+    let next = lastRun
+      ? Math.max(new Date(lastRun).getTime() + schedule.intervalMinutes * 60 * 1000, from)
+      : from;
+    next += jitterMs;
+
+    if (schedule.activeHours && !this.isWithinActiveHours(schedule.activeHours, next)) {
+      next = this.nextActiveStart(schedule.activeHours, next) + jitterMs;
+    }
+
+    return new Date(next).toISOString();
+  }
+
+  /**
+   * @private
+   */
+  isWithinActiveHours({ start, end }, time) {
+    const hour = new Date(time).getUTCHours();
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  }
+
+  /**
+   * @private
+   */
+  nextActiveStart({ start }, time) {
+    const date = new Date(time);
+    date.setUTCMinutes(0, 0, 0);
+    date.setUTCHours(start);
+    if (date.getTime() <= time) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * Check every source and crawl the ones that are due
+   * @returns {Promise<void>}
+   */
+  async tick(now = Date.now()) {
+    for (const source of sourcesData.getAll()) {
+      if (!this.isSchedulable(source)) {
+        if (source.nextRunAt) sourcesData.update(source.id, { nextRunAt: null });
+        continue;
+      }
+
+      if (!source.nextRunAt) {
+        sourcesData.update(source.id, { nextRunAt: this.planNextRun(source, now) });
+        continue;
+      }
+
+      if (new Date(source.nextRunAt).getTime() > now || sourceCrawler.isCrawling(source.id)) continue;
+
+      const { activeHours } = this.getSchedule(source);
+      if (activeHours && !this.isWithinActiveHours(activeHours, now)) {
+        sourcesData.update(source.id, { nextRunAt: this.planNextRun(source, now) });
+        continue;
+      }
+
+      await this.runSource(source.id);
+    }
+  }
+
+  /**
+   * Crawl a source now and plan its next run
+   * @param {number} id - Source ID
+   * @returns {Promise<Object>} - Crawl result from source-crawler
+   */
+  async runSource(id) {
+    const sourceId = parseInt(id);
+    const source = sourcesData.getById(sourceId);
+    if (!source) {
+      return { success: false, error: 'Source not found' };
+    }
+    if (sourceCrawler.isCrawling(sourceId)) {
+      return { success: false, error: 'A crawl is already running for this source' };
+    }
+
+    console.log(`⏱️  Scheduled crawl: ${source.name} (${source.type})`);
+
+    try {
+      const crawlResult = await sourceCrawler.crawlSource(source);
+      if (!crawlResult.success) {
+        console.error(`❌ Scheduled crawl failed for ${source.name}:`, crawlResult.error);
+      }
+      return crawlResult;
+    } catch (error) {
+      console.error(`❌ Scheduled crawl failed for ${source.name}:`, error.message);
+      return { success: false, error: error.message };
+    } finally {
+      this.recordRun(sourceId);
+    }
+  }
+
+  /**
+   * Record a finished crawl of a source and plan the next scheduled run from it
+   * Called after every crawl, not only scheduled ones, so a manual or queued
+   * crawl pushes the next scheduled run back by a full interval.
+   * @param {number} id - Source ID
+   * @returns {Object|null} - Updated source
+   */
+  recordRun(id) {
+    const updated = sourcesData.update(id, { lastRunAt: new Date().toISOString() });
+    return updated ? sourcesData.update(id, { nextRunAt: this.planNextRun(updated) }) : null;
+  }
+}
+
+module.exports = new CrawlScheduler();
@@ -0,0 +1,273 @@
+// Draft Review Service
+// Review workflow for drafts: allowed status transitions, reviewer assignment,
+// threaded comments and the per-draft audit trail
+
+const commentsData = require('../data/draft-comments');
+const auditData = require('../data/draft-audit');
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'published'];
+
+// Actor names (`author` in requests) are self-declared: there is no authentication,
+// so the reviewer checks below are advisory and guard against mistakes, not abuse.
+
+// Statuses each status may move to; a draft must be approved before it is published
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['published', 'pending', 'rejected'],
+  rejected: ['pending'],
+  published: []
+};
+
+// Transitions that are review decisions, limited to assigned reviewers
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+
+const MAX_REVIEWERS = 10;
+const MAX_COMMENT_LENGTH = 5000;
+const DEFAULT_ACTOR = 'anonymous';
+
+class DraftReviewService {
+  constructor() {
+    this.statuses = DRAFT_STATUSES;
+  }
+
+  /**
+   * Check a status change against the workflow
+   * @param {Object} draft - Draft record
+   * @param {string} status - Requested status
+   * @param {Object} options - { actor, reason }
+   * @returns {Object|null} - { error, status } when the change is not allowed
+   */
+  checkTransition(draft, status, { actor, reason } = {}) {
+    const current = draft.status || 'pending';
+    if (status === current) return null;
+
+    const allowed = STATUS_TRANSITIONS[current] || [];
+    if (!allowed.includes(status)) {
+      return {
+        status: 409,
+        error: allowed.length > 0
+          ? `Cannot move a ${current} draft to ${status}; allowed: ${allowed.join(', ')}`
+          : `A ${current} draft cannot change status`
+      };
+    }
+
+    const reviewers = draft.reviewers || [];
+    if (REVIEW_DECISIONS.includes(status) && reviewers.length > 0 && !reviewers.includes(actor)) {
+      return {
+        status: 403,
+        error: `Only assigned reviewers (${reviewers.join(', ')}) can approve or reject this draft`
+      };
+    }
+
+    if (status === 'rejected' && (typeof reason !== 'string' || !reason.trim())) {
+      return { status: 400, error: 'A reason is required to reject a draft' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a title/content change (edit or restore) against the workflow
+   * Published drafts are final; an approval only covers the text that was
+   * reviewed, so an approved draft goes back to pending. Nothing is recorded:
+   * the caller adds the audit entries once the outcome is known.
+   * @param {Object} draft - Draft record
+   * @returns {Object} - { error, status } when the change is not allowed, otherwise
+   *   { transition } with the status the change moves the draft to (null when it keeps its status)
+   */
+  checkEdit(draft) {
+    const current = draft.status || 'pending';
+    if (current === 'published') {
+      return { status: 409, error: 'A published draft cannot be edited or restored' };
+    }
+    return { transition: current === 'approved' ? 'pending' : null };
+  }
+
+  /**
+   * Add a refused change of a published draft to the audit trail
+   * @param {Object} draft - Draft record
+   * @param {Object} options - { actor, action: 'edit' | 'restore' }
+   * @returns {Object} - Audit entry
+   */
+  recordBlockedEdit(draft, { actor, action = 'edit' } = {}) {
+    return auditData.create({
+      draft_id: draft.id,
+      action: 'edit_blocked',
+      attempted: action,
+      actor: actor || DEFAULT_ACTOR,
+      reason: 'Published drafts cannot be changed'
+    });
+  }
+
+  /**
+   * Add the return of an approved draft to pending (after its text changed) to the audit trail
+   * @param {Object} draft - Draft before the change
+   * @param {Object} options - { actor, action: 'edit' | 'restore' }
+   * @returns {Object} - Audit entry
+   */
+  recordReReview(draft, { actor, action = 'edit' } = {}) {
+    return auditData.create({
+      draft_id: draft.id,
+      action: 'status_changed',
+      from_status: draft.status,
+      to_status: 'pending',
+      actor: actor || DEFAULT_ACTOR,
+      reason: action === 'restore' ? 'Revision restored after approval' : 'Edited after approval'
+    });
+  }
+
+  /**
+   * Draft fields set by a status change
+   * @param {string} status - New status
+   * @param {string} reason - Rejection reason
+   * @returns {Object}
+   */
+  getStatusUpdates(status, reason) {
+    return {
+      status,
+      rejection_reason: status === 'rejected' ? reason.trim() : null
+    };
+  }
+
+  /**
+   * Add a status change to the audit trail
+   * @param {Object} draft - Draft before the change
+   * @param {string} status - New status
+   * @param {Object} options - { actor, reason }
+   * @returns {Object|null} - Audit entry, or null when the status did not change
+   */
+  recordStatusChange(draft, status, { actor, reason } = {}) {
+    const current = draft.status || 'pending';
+    if (status === current) return null;
+
+    return auditData.create({
+      draft_id: draft.id,
+      action: 'status_changed',
+      from_status: current,
+      to_status: status,
+      actor: actor || DEFAULT_ACTOR,
+      reason: status === 'rejected' ? reason.trim() : null
+    });
+  }
+
+  /**
+   * Validate a reviewer list
+   * @param {*} reviewers - Reviewer names
+   * @returns {string|null} - Error message
+   */
+  validateReviewers(reviewers) {
+    if (!Array.isArray(reviewers) || reviewers.length > MAX_REVIEWERS ||
+      reviewers.some(reviewer => typeof reviewer !== 'string' || !reviewer.trim())) {
+      return `reviewers must be an array of up to ${MAX_REVIEWERS} names`;
+    }
+    return null;
+  }
+
+  /**
+   * Once reviewers are assigned, only they may change the list (advisory, see above)
+   * @param {Object} draft - Draft record
+   * @param {string} actor - Requesting actor
+   * @returns {Object|null} - { error, status } when the change is not allowed
+   */
+  checkReviewerChange(draft, actor) {
+    const reviewers = draft.reviewers || [];
+    if (reviewers.length > 0 && !reviewers.includes(actor)) {
+      return {
+        status: 403,
+        error: `Only assigned reviewers (${reviewers.join(', ')}) can change the reviewers of this draft`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Reviewer list as stored, plus its audit entry
+   * @param {Object} draft - Draft record
+   * @param {Array<string>} reviewers - Validated reviewer names
+   * @param {Object} options - { actor }
+   * @returns {Object} - { reviewers, entry } (entry is null when the list did not change)
+   */
+  assignReviewers(draft, reviewers, { actor } = {}) {
+    const normalized = [...new Set(reviewers.map(reviewer => reviewer.trim()))];
+    const previous = draft.reviewers || [];
+    const added = normalized.filter(reviewer => !previous.includes(reviewer));
+    const removed = previous.filter(reviewer => !normalized.includes(reviewer));
+
+    if (added.length === 0 && removed.length === 0) {
+      return { reviewers: normalized, entry: null };
+    }
+
+    const entry = auditData.create({
+      draft_id: draft.id,
+      action: 'reviewers_changed',
+      actor: actor || DEFAULT_ACTOR,
+      reviewers: normalized,
+      added,
+      removed
+    });
+    return { reviewers: normalized, entry };
+  }
+
+  getAuditTrail(draftId) {
+    return auditData.getForDraft(draftId);
+  }
+
+  /**
+   * Validate a comment payload
+   * @param {Object} draft - Draft record
+   * @param {Object} data - { author, body, parent_id }
+   * @returns {string|null} - Error message
+   */
+  validateComment(draft, { author, body, parent_id }) {
+    if (typeof author !== 'string' || !author.trim()) {
+      return 'author is required';
+    }
+    if (typeof body !== 'string' || !body.trim() || body.length > MAX_COMMENT_LENGTH) {
+      return `body must be a non-empty string of up to ${MAX_COMMENT_LENGTH} characters`;
+    }
+    if (parent_id !== undefined && parent_id !== null) {
+      if (!Number.isInteger(Number(parent_id))) {
+        return 'parent_id must be a comment id';
+      }
+      const parent = commentsData.getById(parent_id);
+      if (!parent || parent.draft_id !== draft.id) {
+        return `Comment ${parent_id} not found on this draft`;
+      }
+    }
+    return null;
+  }
+
+  addComment(draft, { author, body, parent_id }) {
+    return commentsData.create({
+      draft_id: draft.id,
+      parent_id: parent_id !== undefined && parent_id !== null ? parseInt(parent_id) : null,
+      author: author.trim(),
+      body: body.trim()
+    });
+  }
+
+  /**
+   * Comments of a draft as threads: top-level comments with nested replies, oldest first
+   * @param {number|string} draftId - Draft id
+   * @returns {Object} - { threads, total }
+   */
+  getCommentThreads(draftId) {
+    const comments = commentsData.getForDraft(draftId);
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const threads = [];
+
+    nodes.forEach(node => {
+      const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+      (parent ? parent.replies : threads).push(node);
+    });
+
+    return { threads, total: comments.length };
+  }
+
+  deleteReviewData(draftId) {
+    commentsData.deleteForDraft(draftId);
+    auditData.deleteForDraft(draftId);
+  }
+}
+
+module.exports = new DraftReviewService();
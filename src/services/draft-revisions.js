@@ -0,0 +1,153 @@
+// Draft Revision Service
+// Records a numbered revision for every title/content edit of a draft, diffs
+// revisions and restores older ones
+
+const draftsData = require('../data/drafts');
+const revisionsData = require('../data/draft-revisions');
+const { diffLines, formatDiff } = require('../utils/diff');
+
+// Author of the revision holding a draft's text as generated
+const SYSTEM_AUTHOR = 'system';
+const DEFAULT_AUTHOR = 'anonymous';
+
+class DraftRevisionService {
+  /**
+   * Revision 1 of a draft: its text as generated
+   * @private
+   */
+  baselineOf(draft) {
+    return {
+      draft_id: draft.id,
+      title: draft.title,
+      content: draft.content,
+      author: SYSTEM_AUTHOR,
+      created_at: draft.created_at
+    };
+  }
+
+  /**
+   * Revisions of a draft, oldest first
+   * A draft that was never edited has no stored revisions; its current text is
+   * reported as revision 1 without writing it, so reads never change the store.
+   * @private
+   */
+  getRevisions(draft) {
+    const revisions = revisionsData.getForDraft(draft.id);
+    return revisions.length > 0 ? revisions : [{ ...this.baselineOf(draft), number: 1, restored_from: null }];
+  }
+
+  /**
+   * Apply an edit to a draft, recording a revision when its title or content changes
+   * @param {Object} draft - Draft record
+   * @param {Object} updates - Draft fields to change
+   * @param {Object} options - { author, restoredFrom }
+   * @returns {Object} - { draft, revision } (revision is null when the text is unchanged)
+   */
+  applyEdit(draft, updates, { author, restoredFrom } = {}) {
+    const title = updates.title !== undefined ? updates.title : draft.title;
+    const content = updates.content !== undefined ? updates.content : draft.content;
+    const textChanged = title !== draft.title || content !== draft.content;
+
+    let revision = null;
+    if (textChanged) {
+      // The first edit stores the generated text as revision 1
+      if (!revisionsData.getLatest(draft.id)) revisionsData.create(this.baselineOf(draft));
+      revision = revisionsData.create({
+        draft_id: draft.id,
+        title,
+        content,
+        author: author || DEFAULT_AUTHOR,
+        restored_from: restoredFrom ?? null
+      });
+    }
+
+    return { draft: draftsData.update(draft.id, updates), revision };
+  }
+
+  /**
+   * Revisions of a draft without their text, oldest first
+   * @param {Object} draft - Draft record
+   * @returns {Array}
+   */
+  listRevisions(draft) {
+    const revisions = this.getRevisions(draft);
+
+    return revisions.map((revision, index) => {
+      const previous = revisions[index - 1];
+      const changed = !previous ? [] : ['title', 'content'].filter(field => revision[field] !== previous[field]);
+      return {
+        number: revision.number,
+        author: revision.author,
+        created_at: revision.created_at,
+        title: revision.title,
+        changed,
+        restored_from: revision.restored_from ?? null
+      };
+    });
+  }
+
+  /**
+   * A single revision with its text
+   * @param {Object} draft - Draft record
+   * @param {number|string} number - Revision number
+   * @returns {Object|null}
+   */
+  getRevision(draft, number) {
+    return this.getRevisions(draft).find(revision => revision.number === parseInt(number)) || null;
+  }
+
+  /**
+   * Line-level diff between two revisions
+   * @param {Object} draft - Draft record
+   * @param {Object} range - { from, to } revision numbers; `to` defaults to the latest, `from` to the one before `to`
+   * @returns {Object} - Diff, or { error, status } when a revision is missing
+   */
+  diff(draft, { from, to } = {}) {
+    const revisions = this.getRevisions(draft);
+    const toNumber = to ?? revisions[revisions.length - 1].number;
+    const fromNumber = from ?? Math.max(1, toNumber - 1);
+
+    const before = this.getRevision(draft, fromNumber);
+    const after = this.getRevision(draft, toNumber);
+    const missing = !before ? fromNumber : !after ? toNumber : null;
+    if (missing !== null) {
+      return { error: `Revision ${missing} not found`, status: 404 };
+    }
+
+    const lines = diffLines(before.content, after.content);
+    const count = type => lines.filter(line => line.type === type).length;
+
+    return {
+      draft_id: draft.id,
+      from: { number: before.number, author: before.author, created_at: before.created_at },
+      to: { number: after.number, author: after.author, created_at: after.created_at },
+      title: { from: before.title, to: after.title, changed: before.title !== after.title },
+      stats: { added: count('added'), removed: count('removed'), unchanged: count('unchanged') },
+      lines,
+      unified: formatDiff(lines)
+    };
+  }
+
+  /**
+   * Make an older revision's text current again, as a new revision
+   * @param {Object} draft - Draft record
+   * @param {number|string} number - Revision to restore
+   * @param {Object} options - { author, updates } (updates: other draft fields to set, e.g. status)
+   * @returns {Object|null} - { draft, revision }, or null when the revision does not exist
+   */
+  restore(draft, number, { author, updates = {} } = {}) {
+    const revision = this.getRevision(draft, number);
+    if (!revision) return null;
+
+    return this.applyEdit(draft, { ...updates, title: revision.title, content: revision.content }, {
+      author,
+      restoredFrom: revision.number
+    });
+  }
+
+  deleteRevisions(draftId) {
+    return revisionsData.deleteForDraft(draftId);
+  }
+}
+
+module.exports = new DraftRevisionService();
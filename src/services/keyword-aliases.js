@@ -0,0 +1,168 @@
+// Keyword Alias Service
+// Resolves keywords to their canonical trend keyword: case and whitespace
+// are normalized, plurals are singularized and alias groups (abbreviations,
+// synonyms) are mapped onto their canonical keyword.
+
+const aliasesData = require('../data/keyword-aliases');
+
+// Words ending in "s" that are not plurals (or name a single thing)
+const SINGULAR_EXCEPTIONS = new Set([
+  'news', 'series', 'species', 'devops', 'kubernetes', 'windows', 'always', 'perhaps', 'atlas', 'canvas', 'redis',
+  'chaos', 'alias', 'axios', 'postgres', 'sales', 'ethics', 'mathematics', 'means', 'yes', 'lens', 'analysis',
+  'basis', 'thesis', 'crisis', 'hypothesis', 'diagnosis', 'emphasis', 'synopsis', 'tennis', 'this',
+  'pandas', 'keras', 'rails', 'jenkins', 'https', 'kudos', 'bias', 'physics', 'economics', 'graphics', 'robotics'
+]);
+
+// Plurals of words ending in "o" or "u"; other words ending in -os/-us are singular (macos, status)
+const VOWEL_PLURALS = new Set([
+  'videos', 'photos', 'demos', 'repos', 'logos', 'memos', 'todos', 'promos', 'studios', 'scenarios', 'ratios',
+  'portfolios', 'radios', 'gpus', 'cpus', 'tpus', 'menus', 'gurus'
+]);
+
+// Plurals of words ending in "ie", which lose only the "s"
+const IE_PLURALS = new Set([
+  'movies', 'cookies', 'selfies', 'rookies', 'zombies', 'hoodies', 'indies', 'newbies', 'techies', 'foodies'
+]);
+
+// Plurals that add "es" to a word ending in "s"; other -ses words lose only the "s" (databases, courses)
+const ES_PLURALS = new Set([
+  'aliases', 'statuses', 'buses', 'viruses', 'bonuses', 'campuses', 'biases', 'atlases', 'canvases', 'gases',
+  'lenses', 'censuses', 'focuses', 'geniuses', 'corpuses', 'syllabuses', 'consensuses'
+]);
+
+// Plurals that are not the singular plus a suffix
+const IRREGULAR_PLURALS = new Map([
+  ['analyses', 'analysis'], ['theses', 'thesis'], ['crises', 'crisis'], ['hypotheses', 'hypothesis'],
+  ['diagnoses', 'diagnosis'], ['emphases', 'emphasis'], ['synopses', 'synopsis'], ['quizzes', 'quiz']
+]);
+
+// Resolved keywords cached per alias version; cleared when it grows past this
+const MAX_RESOLVED_CACHE = 10000;
+
+class KeywordAliasService {
+  constructor() {
+    this.lookup = null;
+    this.maxResolvedCache = MAX_RESOLVED_CACHE;
+  }
+
+  /**
+   * Normalize case, whitespace and a trailing plural
+   * @param {string} keyword - Raw keyword
+   * @returns {string}
+   */
+  normalize(keyword) {
+    const words = String(keyword).toLowerCase().trim().split(/\s+/);
+    words[words.length - 1] = this.singularize(words[words.length - 1]);
+    return words.join(' ');
+  }
+
+  /**
+   * Singular of a plural word; anything that is not clearly a plural is kept
+   * Framework and product names ending in -js/-os (nextjs, macos) are never
+   * treated as plurals.
+   * @private
+   */
+  singularize(word) {
+    if (!/^[a-z]+$/.test(word) || word.length <= 3 || SINGULAR_EXCEPTIONS.has(word)) return word;
+    if (IRREGULAR_PLURALS.has(word)) return IRREGULAR_PLURALS.get(word);
+    if (VOWEL_PLURALS.has(word) || IE_PLURALS.has(word)) return word.slice(0, -1);
+    if (ES_PLURALS.has(word)) return word.slice(0, -2);
+    if (/(ss|us|os|js|is|ias|ics|ous)$/.test(word)) return word;
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (/(ches|shes|xes|sses|zzes)$/.test(word)) return word.slice(0, -2);
+    return word.endsWith('s') ? word.slice(0, -1) : word;
+  }
+
+  /**
+   * Canonical keyword for a keyword
+   * @param {string} keyword - Raw keyword
+   * @returns {string}
+   */
+  resolve(keyword) {
+    const { aliases, resolved } = this.getLookup();
+    if (!resolved.has(keyword)) {
+      if (resolved.size >= this.maxResolvedCache) resolved.clear();
+      const normalized = this.normalize(keyword);
+      resolved.set(keyword, aliases.get(normalized) || normalized);
+    }
+    return resolved.get(keyword);
+  }
+
+  /**
+   * Normalized alias -> canonical map, rebuilt after alias changes
+   * @private
+   */
+  getLookup() {
+    const version = aliasesData.getVersion();
+    if (!this.lookup || this.lookup.version !== version) {
+      const aliases = new Map();
+      aliasesData.getAll().forEach(group => {
+        const canonical = this.normalize(group.canonical);
+        group.aliases.forEach(alias => aliases.set(this.normalize(alias), canonical));
+      });
+      this.lookup = { version, aliases, resolved: new Map() };
+    }
+    return this.lookup;
+  }
+
+  /**
+   * Validate an alias group payload
+   * A keyword can only belong to one group.
+   * @param {Object} data - { canonical, aliases }
+   * @param {Object} options - { partial, id } (id of the group being updated)
+   * @returns {string|null} - Error message
+   */
+  validateGroup(data, { partial = false, id } = {}) {
+    const { canonical, aliases } = data;
+
+    if ((!partial || canonical !== undefined) && (typeof canonical !== 'string' || !canonical.trim())) {
+      return 'canonical is required';
+    }
+    if ((!partial || aliases !== undefined) &&
+      (!Array.isArray(aliases) || aliases.length === 0 || aliases.some(a => typeof a !== 'string' || !a.trim()))) {
+      return 'aliases must be a non-empty array of strings';
+    }
+
+    const current = id !== undefined ? aliasesData.getById(id) : null;
+    const keywords = [canonical ?? current?.canonical, ...(aliases ?? current?.aliases ?? [])].map(k => this.normalize(k));
+    const taken = new Map();
+    aliasesData.getAll()
+      .filter(group => group.id !== parseInt(id))
+      .forEach(group => [group.canonical, ...group.aliases].forEach(k => taken.set(this.normalize(k), group.canonical)));
+
+    const conflict = keywords.find(keyword => taken.has(keyword));
+    if (conflict) {
+      return `"${conflict}" already belongs to the alias group of "${taken.get(conflict)}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a validated payload for storage
+   * @private
+   */
+  normalizeGroup(data) {
+    const group = {};
+    if (data.canonical !== undefined) group.canonical = this.normalize(data.canonical);
+    if (data.aliases !== undefined) {
+      group.aliases = [...new Set(data.aliases.map(alias => this.normalize(alias)))]
+        .filter(alias => alias !== (group.canonical ?? null));
+    }
+    return group;
+  }
+
+  createGroup(data) {
+    return aliasesData.create(this.normalizeGroup(data));
+  }
+
+  updateGroup(id, data) {
+    if (!aliasesData.getById(id)) return null;
+    return aliasesData.update(id, this.normalizeGroup(data));
+  }
+
+  deleteGroup(id) {
+    return aliasesData.deleteById(id);
+  }
+}
+
+module.exports = new KeywordAliasService();
@@ -0,0 +1,193 @@
+// Keyword Extraction Service
+// Statistical keyword extraction: tokenization, stopword removal, n-gram
+// phrase detection and TF-IDF scoring against the stored crawl corpus.
+// Category keyword lists can be passed in as seeds; they are boosted and
+// always recognized as phrases, but are not the only vocabulary.
+
+const crawlSnapshots = require('../data/crawl-snapshots');
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'don', 'down', 'during', 'each', 'even', 'every', 'few', 'for', 'from', 'further', 'get', 'gets',
+  'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'let', 'like', 'll', 'make', 'makes', 'me', 'more',
+  'most', 'much', 'must', 'my', 'myself', 'need', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 're', 'really', 'same', 'say', 'says',
+  'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+  'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+  'us', 'use', 'used', 'using', 've', 'very', 'via', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'without', 'would', 'yet', 'you',
+  'your', 'yours', 'yourself', 'yourselves', 'http', 'https', 'www', 'com', 'amp', 'quot'
+]);
+
+const MAX_NGRAM = 3;
+const SEED_BOOST = 1.5;
+const PHRASE_BOOST = 1.2;
+
+class KeywordExtractor {
+  constructor() {
+    this.corpusCache = { version: -1, documentCount: 0, documentFrequency: new Map() };
+  }
+
+  /**
+   * Split text into sentence-like segments of normalized tokens
+   * Punctuation that usually ends a phrase (.,;:!?|()[]) splits segments;
+   * tokens keep inner characters that matter for tech terms (node.js, c++, c#).
+   * @param {string} text - Raw text
+   * @returns {Array<Array<string>>} - Token segments
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    return text
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .split(/[.,;:!?|()[\]{}"“”\n\r\t]+(?=\s|$)|[;!?|()[\]{}"“”\n\r\t]+/)
+      .map(segment => segment
+        .replace(/[^a-z0-9+#.\-'\s]/g, ' ')
+        .split(/\s+/)
+        .map(token => token.replace(/^[.\-']+|[.\-']+$/g, '').replace(/'s$/, ''))
+        .filter(Boolean))
+      .filter(segment => segment.length > 0);
+  }
+
+  /**
+   * Candidate terms (1..3-grams) of a text; n-grams never cross stopwords,
+   * except for seed phrases which are matched as-is ("how to")
+   * @param {string} text - Raw text
+   * @param {Set<string>} [seedSet] - Seed vocabulary
+   * @returns {Map<string, number>} - Term -> occurrences in the text
+   */
+  getCandidates(text, seedSet = new Set()) {
+    const counts = new Map();
+
+    for (const segment of this.tokenize(text)) {
+      for (let n = 2; n <= MAX_NGRAM; n++) {
+        for (let i = 0; i + n <= segment.length; i++) {
+          const term = segment.slice(i, i + n).join(' ');
+          if (seedSet.has(term) && segment.slice(i, i + n).some(token => STOPWORDS.has(token))) {
+            counts.set(term, (counts.get(term) || 0) + 1);
+          }
+        }
+      }
+
+      // Runs of consecutive content words
+      let run = [];
+      const runs = [];
+      for (const token of segment) {
+        if (STOPWORDS.has(token) || /^\d{1,3}$/.test(token)) {
+          if (run.length) runs.push(run);
+          run = [];
+        } else {
+          run.push(token);
+        }
+      }
+      if (run.length) runs.push(run);
+
+      for (const words of runs) {
+        for (let n = 1; n <= MAX_NGRAM; n++) {
+          for (let i = 0; i + n <= words.length; i++) {
+            const term = words.slice(i, i + n).join(' ');
+            counts.set(term, (counts.get(term) || 0) + 1);
+          }
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Document frequencies over the stored crawl corpus, rebuilt whenever crawls change the stored items
+   * @private
+   * @returns {Object} - { documentCount, documentFrequency }
+   */
+  getCorpusStats() {
+    const version = crawlSnapshots.getItemsVersion();
+    if (version === this.corpusCache.version) return this.corpusCache;
+
+    const items = crawlSnapshots.getAllItems();
+
+    const documentFrequency = new Map();
+    for (const item of items) {
+      for (const term of this.getCandidates(`${item.title || ''}. ${item.summary || ''}`).keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    this.corpusCache = { version, documentCount: items.length, documentFrequency };
+    return this.corpusCache;
+  }
+
+  /**
+   * Score the terms of a text
+   * @param {string} text - Raw text
+   * @param {Object} options
+   * @param {Array<string>} [options.seeds] - Seed vocabulary (boosted, phrases always kept)
+   * @returns {Array} - [{ term, score, tf, df, isSeed }] best first
+   */
+  scoreTerms(text, { seeds = [] } = {}) {
+    const seedSet = new Set(seeds.map(seed => seed.toLowerCase()));
+    const candidates = this.getCandidates(text, seedSet);
+    if (candidates.size === 0) return [];
+
+    const { documentCount, documentFrequency } = this.getCorpusStats();
+    const totalTerms = [...candidates.values()].reduce((sum, count) => sum + count, 0);
+
+    const scored = [];
+    for (const [term, count] of candidates) {
+      const words = term.split(' ');
+      const isSeed = seedSet.has(term);
+      const df = documentFrequency.get(term) || 0;
+
+      if (words.length === 1) {
+        // Very short tokens are noise unless they are known terms (ai, ml, ui...)
+        if (term.length < 3 && !isSeed) continue;
+      } else if (!isSeed && df < 2 && count < 2) {
+        // A phrase must recur (in the corpus or this text) to count as one
+        continue;
+      }
+
+      const tf = count / totalTerms;
+      const idf = Math.log((documentCount + 1) / (df + 1)) + 1;
+      let score = tf * idf;
+      if (words.length > 1) score *= PHRASE_BOOST;
+      if (isSeed) score *= SEED_BOOST;
+
+      scored.push({ term, score, tf, df, isSeed });
+    }
+
+    return scored.sort((a, b) => b.score - a.score || b.term.length - a.term.length);
+  }
+
+  /**
+   * Extract the top keywords and phrases from a text
+   * Words already covered by a higher-ranked phrase are dropped.
+   * @param {string} text - Raw text
+   * @param {Object} options
+   * @param {Array<string>} [options.seeds] - Seed vocabulary
+   * @param {number} [options.limit=10] - Max keywords
+   * @returns {Array<string>} - Keywords
+   */
+  extractKeywords(text, { seeds = [], limit = 10 } = {}) {
+    const keywords = [];
+    const covered = new Set();
+
+    for (const { term } of this.scoreTerms(text, { seeds })) {
+      if (covered.has(term)) continue;
+
+      keywords.push(term);
+      const words = term.split(' ');
+      if (words.length > 1) {
+        words.forEach(word => covered.add(word));
+      }
+
+      if (keywords.length >= limit) break;
+    }
+
+    return keywords;
+  }
+}
+
+module.exports = new KeywordExtractor();
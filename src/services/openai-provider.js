@@ -0,0 +1,165 @@
+// OpenAI-compatible Provider
+// Text generation through a /chat/completions endpoint (OpenAI, or any server
+// speaking the same API such as a local model runtime)
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a content strategist writing blog post drafts for content creators. ' +
+  'Always answer with a JSON object of the form {"title": "...", "content": "..."} where content is a markdown outline.';
+
+const DEFAULT_USER_PROMPT = 'Write a draft about "{keyword}" for the {category} category, aimed at {audience}. ' +
+  'Related topics: {related}. Recent coverage: {sources}. ' +
+  'Give it a specific, non-generic title and an outline with an introduction, 3-5 sections and next steps.';
+
+// Placeholders available in CONTENT_LLM_SYSTEM_PROMPT and CONTENT_LLM_PROMPT
+const PROMPT_VARIABLES = ['keyword', 'category', 'related', 'audience', 'sources', 'year'];
+
+const MAX_TITLE_LENGTH = 200;
+
+const parsePositive = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.CONTENT_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = process.env.CONTENT_LLM_API_KEY || null;
+    this.model = process.env.CONTENT_LLM_MODEL || DEFAULT_MODEL;
+    this.timeoutMs = parsePositive(process.env.CONTENT_LLM_TIMEOUT_MS, 20000);
+    this.maxTokens = Math.round(parsePositive(process.env.CONTENT_LLM_MAX_TOKENS, 800));
+    const temperature = parseFloat(process.env.CONTENT_LLM_TEMPERATURE);
+    this.temperature = Number.isFinite(temperature) && temperature >= 0 ? temperature : 0.7;
+    this.systemPrompt = process.env.CONTENT_LLM_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
+    this.userPrompt = process.env.CONTENT_LLM_PROMPT || DEFAULT_USER_PROMPT;
+  }
+
+  /**
+   * Generate a draft title and outline for a topic
+   * @param {Object} input - { keyword, category, related, audience, trend }
+   * @returns {Promise<Object>} - { title, content, model, usage }
+   * @throws {Error} - When the request fails, times out or returns no usable draft
+   */
+  async generate(input) {
+    // The hosted API needs a key; self-hosted compatible servers usually don't
+    if (!this.apiKey && this.baseUrl === DEFAULT_BASE_URL) {
+      throw new Error('CONTENT_LLM_API_KEY is not set');
+    }
+
+    const variables = this.getPromptVariables(input);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            { role: 'system', content: this.renderPrompt(this.systemPrompt, variables) },
+            { role: 'user', content: this.renderPrompt(this.userPrompt, variables) }
+          ],
+          max_tokens: this.maxTokens,
+          temperature: this.temperature
+        }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `Request timed out after ${this.timeoutMs}ms` : error.message);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Provider responded with HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Provider returned an empty completion');
+    }
+
+    const { title, content } = this.parseCompletion(text);
+    if (!title || title.length > MAX_TITLE_LENGTH || !content) {
+      throw new Error('Provider returned a draft without a usable title and content');
+    }
+
+    const usage = data.usage || {};
+    return {
+      title,
+      content,
+      model: data.model || this.model,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+      }
+    };
+  }
+
+  /**
+   * Values for the prompt placeholders
+   * @private
+   * @param {Object} input - { keyword, category, related, audience, trend }
+   * @returns {Object}
+   */
+  getPromptVariables({ keyword, category, related = [], audience, trend = {} }) {
+    const sources = (trend.sources || [])
+      .flatMap(source => (source.items || []).map(item => item.title))
+      .filter(Boolean)
+      .slice(0, 5);
+
+    return {
+      keyword,
+      category: category || 'General',
+      related: related.length > 0 ? related.join(', ') : 'none',
+      audience: audience || 'content creators',
+      sources: sources.length > 0 ? sources.map(title => `"${title}"`).join('; ') : 'none',
+      year: String(new Date().getFullYear())
+    };
+  }
+
+  /**
+   * Fill {placeholder} variables in a prompt; unknown placeholders are left as-is
+   * @private
+   * @param {string} template - Prompt template
+   * @param {Object} variables - Placeholder values
+   * @returns {string}
+   */
+  renderPrompt(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      PROMPT_VARIABLES.includes(name) ? variables[name] : match);
+  }
+
+  /**
+   * Read a title and content out of a completion
+   * JSON answers ({ title, content }, optionally in a code fence) are used as-is;
+   * otherwise the first line is the title and the rest is the content.
+   * @private
+   * @param {string} text - Completion text
+   * @returns {Object} - { title, content }
+   */
+  parseCompletion(text) {
+    const unfenced = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+    try {
+      const parsed = JSON.parse(unfenced);
+      if (parsed && typeof parsed.title === 'string' && typeof parsed.content === 'string') {
+        return { title: parsed.title.trim(), content: parsed.content.trim() };
+      }
+    } catch (error) {
+      // Not JSON, read it as plain text below
+    }
+
+    const [firstLine, ...rest] = unfenced.split('\n');
+    return {
+      title: firstLine.replace(/^#+\s*/, '').replace(/^title:\s*/i, '').replace(/^["*]+|["*]+$/g, '').trim(),
+      content: rest.join('\n').trim()
+    };
+  }
+}
+
+module.exports = new OpenAIProvider();
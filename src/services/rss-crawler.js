@@ -0,0 +1,246 @@
+// RSS Crawler Service
+// Fetches RSS 2.0 / RSS 1.0 (RDF) / Atom feeds and normalizes their items
+
+const { XMLParser } = require('fast-xml-parser');
+const youtubeCrawler = require('./youtube-crawler');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+
+const parsePositive = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+class RssCrawlerService {
+  constructor() {
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: "@_"
+    });
+
+    this.maxItems = 50;
+    // A feed that never answers must not hold its source's crawl (and any trend refresh waiting on it)
+    this.timeoutMs = parsePositive(process.env.CRAWL_FETCH_TIMEOUT_MS, 15000);
+    this.requestHeaders = {
+      'User-Agent': 'Mozilla/5.0 (compatible; TrendCrawler/1.0)',
+      'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+    };
+  }
+
+  /**
+   * Fetch and parse a feed
+   * @param {string} feedUrl - RSS or Atom feed URL
+   * @returns {Promise<Object>} - Crawl results
+   */
+  async crawlFeed(feedUrl) {
+    try {
+      console.log(`📡 Fetching feed: ${feedUrl}`);
+
+      const xmlData = await this.fetchText(feedUrl);
+      console.log(`📄 Feed fetched successfully (${xmlData.length} chars)`);
+
+      const feed = this.parseFeed(xmlData, feedUrl);
+
+      console.log(`✅ Successfully crawled ${feed.feedTitle}: ${feed.items.length} items found`);
+
+      return {
+        success: true,
+        data: {
+          ...feed,
+          totalItems: feed.items.length,
+          crawledAt: new Date().toISOString()
+        },
+        crawledAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Feed crawling error:', error.message);
+      return {
+        success: false,
+        error: `Failed to crawl feed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * GET a URL as text, aborting after `timeoutMs` (headers and body)
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} - Response body
+   */
+  async fetchText(url) {
+    try {
+      const response = await fetch(url, { headers: this.requestHeaders, signal: AbortSignal.timeout(this.timeoutMs) });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return await response.text();
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `Request timed out after ${this.timeoutMs}ms` : error.message);
+    }
+  }
+
+  /**
+   * Parse feed XML into normalized items
+   * @param {string} xmlData - Raw feed XML
+   * @param {string} feedUrl - Feed URL, used to resolve relative links
+   * @returns {Object} - { feedTitle, feedDescription, feedUrl, siteUrl, format, items }
+   */
+  parseFeed(xmlData, feedUrl) {
+    const jsonData = this.parser.parse(xmlData);
+
+    if (jsonData.rss && jsonData.rss.channel) {
+      return this.parseRss(jsonData.rss.channel, feedUrl, 'rss');
+    }
+    if (jsonData['rdf:RDF']) {
+      const rdf = jsonData['rdf:RDF'];
+      return this.parseRss({ ...rdf.channel, item: rdf.item }, feedUrl, 'rdf');
+    }
+    if (jsonData.feed) {
+      return this.parseAtom(jsonData.feed, feedUrl);
+    }
+
+    throw new Error('Document is not an RSS or Atom feed');
+  }
+
+  /**
+   * @private
+   */
+  parseRss(channel, feedUrl, format) {
+    const items = this.toArray(channel.item).slice(0, this.maxItems).map((item, index) => {
+      const link = this.resolveUrl(this.text(item.link), feedUrl);
+      const summary = this.stripHtml(this.text(item.description) || this.text(item['content:encoded']));
+
+      return this.normalizeItem({
+        id: this.text(item.guid) || link || `item_${index}`,
+        title: this.stripHtml(this.text(item.title)),
+        link,
+        summary,
+        publishedDate: this.text(item.pubDate) || this.text(item['dc:date']),
+        author: this.text(item['dc:creator']) || this.text(item.author)
+      });
+    });
+
+    return {
+      feedTitle: this.text(channel.title) || 'Untitled Feed',
+      feedDescription: this.stripHtml(this.text(channel.description)),
+      feedUrl,
+      siteUrl: this.resolveUrl(this.text(channel.link), feedUrl),
+      format,
+      items
+    };
+  }
+
+  /**
+   * @private
+   */
+  parseAtom(feed, feedUrl) {
+    const items = this.toArray(feed.entry).slice(0, this.maxItems).map((entry, index) => {
+      const link = this.resolveUrl(this.atomLink(entry.link), feedUrl);
+      const summary = this.stripHtml(this.text(entry.summary) || this.text(entry.content));
+
+      return this.normalizeItem({
+        id: this.text(entry.id) || link || `entry_${index}`,
+        title: this.stripHtml(this.text(entry.title)),
+        link,
+        summary,
+        publishedDate: this.text(entry.published) || this.text(entry.updated),
+        author: this.toArray(entry.author).map(author => this.text(author.name)).filter(Boolean).join(', ')
+      });
+    });
+
+    return {
+      feedTitle: this.text(feed.title) || 'Untitled Feed',
+      feedDescription: this.stripHtml(this.text(feed.subtitle)),
+      feedUrl,
+      siteUrl: this.resolveUrl(this.atomLink(feed.link), feedUrl),
+      format: 'atom',
+      items
+    };
+  }
+
+  /**
+   * Build the item shape shared with the other crawlers
+   * @param {Object} fields - Raw item fields
+   * @returns {Object} - Normalized item
+   */
+  normalizeItem({ id, title, link, summary, publishedDate, author }) {
+    const parsedDate = publishedDate ? new Date(publishedDate) : null;
+    const normalizedTitle = (title || 'Untitled').trim();
+
+    const item = {
+      id: String(id),
+      title: normalizedTitle,
+      link: link || '',
+      summary: summary || '',
+      publishedDate: parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : null,
+      author: author || '',
+      keywords: youtubeCrawler.extractKeywords(`${normalizedTitle} ${summary || ''}`)
+    };
+    item.sentiment = sentimentAnalyzer.analyzeItem(item);
+    return item;
+  }
+
+  /**
+   * Pick the alternate (or first) href from Atom link elements
+   * @private
+   */
+  atomLink(links) {
+    const all = this.toArray(links);
+    const alternate = all.find(link => !link['@_rel'] || link['@_rel'] === 'alternate') || all[0];
+    if (!alternate) return '';
+    return typeof alternate === 'string' ? alternate : alternate['@_href'] || '';
+  }
+
+  /**
+   * Read the text value of a parsed node (plain value or { '#text' })
+   * @private
+   */
+  text(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') {
+      if (Array.isArray(node)) return this.text(node[0]);
+      return node['#text'] !== undefined ? String(node['#text']).trim() : '';
+    }
+    return String(node).trim();
+  }
+
+  /**
+   * @private
+   */
+  stripHtml(html) {
+    if (!html) return '';
+    return html
+      .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+      .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * @private
+   */
+  resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+      return new URL(url, baseUrl).toString();
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * @private
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = new RssCrawlerService();
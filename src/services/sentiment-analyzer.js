@@ -0,0 +1,126 @@
+// Sentiment Analysis Service
+// Offline lexicon-based scoring (AFINN-style word scores from -3 to +3) with
+// negation and intensifier handling, applied to crawled item titles and
+// descriptions. Scores are normalized to -1..1.
+
+const keywordExtractor = require('./keyword-extractor');
+
+const LEXICON = {
+  // Positive
+  amazing: 3, awesome: 3, best: 3, breakthrough: 3, brilliant: 3, excellent: 3, exciting: 3, excited: 3,
+  fantastic: 3, great: 3, impressive: 3, incredible: 3, love: 3, loved: 3, outstanding: 3, perfect: 3,
+  revolutionary: 3, superb: 3, wonderful: 3,
+  beautiful: 2, better: 2, boost: 2, boosts: 2, clean: 2, cool: 2, easy: 2, easier: 2, effective: 2,
+  efficient: 2, elegant: 2, empower: 2, empowering: 2, enjoy: 2, fast: 2, faster: 2, fastest: 2, fun: 2,
+  gain: 2, gains: 2, good: 2, happy: 2, helpful: 2, improve: 2, improved: 2, improves: 2, improvement: 2,
+  innovation: 2, innovative: 2, inspiring: 2, opportunity: 2, opportunities: 2, powerful: 2, profit: 2,
+  profitable: 2, recommended: 2, reliable: 2, robust: 2, smart: 2, solid: 2, success: 2, successful: 2,
+  thrive: 2, thriving: 2, top: 2, upgrade: 2, useful: 2, valuable: 2, win: 2, winning: 2, wins: 2,
+  affordable: 1, free: 1, grow: 1, growing: 1, growth: 1, launch: 1, launched: 1, launches: 1, new: 1,
+  popular: 1, ready: 1, scalable: 1, secure: 1, simple: 1, stable: 1, support: 1, supports: 1,
+
+  // Negative
+  awful: -3, catastrophic: -3, collapse: -3, crisis: -3, dead: -3, disaster: -3, doom: -3, fraud: -3,
+  hacked: -3, hate: -3, horrible: -3, panic: -3, scam: -3, terrible: -3, worst: -3, breach: -3,
+  angry: -2, annoying: -2, ban: -2, banned: -2, broken: -2, confusing: -2, controversial: -2,
+  controversy: -2, crash: -2, crashed: -2, crashes: -2, danger: -2, dangerous: -2, decline: -2,
+  declining: -2, difficult: -2, disappointed: -2, disappointing: -2, error: -2, errors: -2, exploit: -2,
+  fail: -2, failed: -2, fails: -2, failure: -2, fear: -2, hack: -2, insecure: -2, lawsuit: -2, layoff: -2,
+  layoffs: -2, leak: -2, leaked: -2, lose: -2, loses: -2, losing: -2, loss: -2, losses: -2, mistake: -2,
+  mistakes: -2, outage: -2, overhyped: -2, painful: -2, poor: -2, problem: -2, problems: -2, risk: -2,
+  risks: -2, risky: -2, slow: -2, slower: -2, struggle: -2, struggling: -2, sued: -2, threat: -2,
+  ugly: -2, unreliable: -2, useless: -2, vulnerability: -2, vulnerabilities: -2, warning: -2, worried: -2,
+  worry: -2, wrong: -2, bad: -2, worse: -2,
+  bug: -1, bugs: -1, deprecated: -1, drop: -1, drops: -1, expensive: -1, hard: -1, hype: -1, issue: -1,
+  issues: -1, limited: -1, cut: -1, cuts: -1, delay: -1, delayed: -1
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'cannot', 'hardly', 'barely',
+  "can't", "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "weren't", "won't", "wouldn't",
+  "shouldn't", "couldn't", "ain't", "haven't", "hasn't"
+]);
+
+const INTENSIFIERS = new Set([
+  'very', 'really', 'extremely', 'super', 'highly', 'incredibly', 'totally', 'absolutely', 'so', 'most'
+]);
+
+// Words after a negation that it applies to
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.75;
+const INTENSIFIER_FACTOR = 1.5;
+// Normalization constant: score = sum / sqrt(sum^2 + alpha)
+const NORMALIZATION_ALPHA = 15;
+const NEUTRAL_THRESHOLD = 0.05;
+
+class SentimentAnalyzer {
+  /**
+   * Score a text
+   * @param {string} text - Raw text
+   * @returns {Object} - { score (-1..1), label, matches }
+   */
+  analyze(text) {
+    let sum = 0;
+    let matches = 0;
+
+    keywordExtractor.tokenize(text).forEach(segment => {
+      let negatedUntil = -1;
+
+      segment.forEach((token, index) => {
+        if (NEGATIONS.has(token)) {
+          negatedUntil = index + NEGATION_SCOPE;
+          return;
+        }
+
+        const value = LEXICON[token];
+        if (value === undefined) return;
+
+        let wordScore = value;
+        if (index > 0 && INTENSIFIERS.has(segment[index - 1])) wordScore *= INTENSIFIER_FACTOR;
+        if (index <= negatedUntil) wordScore *= NEGATION_FACTOR;
+
+        sum += wordScore;
+        matches++;
+      });
+    });
+
+    const score = sum === 0 ? 0 : sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+    return { score: this.round(score), label: this.getLabel(score), matches };
+  }
+
+  /**
+   * Score a crawled item from its title and description/summary
+   * @param {Object} item - Normalized item or video
+   * @returns {Object} - { score, label }
+   */
+  analyzeItem(item) {
+    const { score, label } = this.analyze(`${item.title || ''}. ${item.description || item.summary || ''}`);
+    return { score, label };
+  }
+
+  /**
+   * Mean score of a set of item sentiments
+   * @param {Array} sentiments - [{ score }]
+   * @returns {Object|null} - { score, label }, null when empty
+   */
+  aggregate(sentiments) {
+    if (sentiments.length === 0) return null;
+    const score = sentiments.reduce((sum, s) => sum + s.score, 0) / sentiments.length;
+    return { score: this.round(score), label: this.getLabel(score) };
+  }
+
+  getLabel(score) {
+    if (score >= NEUTRAL_THRESHOLD) return 'positive';
+    if (score <= -NEUTRAL_THRESHOLD) return 'negative';
+    return 'neutral';
+  }
+
+  /**
+   * @private
+   */
+  round(score) {
+    return Math.round(score * 1000) / 1000;
+  }
+}
+
+module.exports = new SentimentAnalyzer();
@@ -0,0 +1,146 @@
+// Source Crawler Service
+// Dispatches a source to the crawler for its type and normalizes the result
+// so routes and the trends pipeline can treat every source type the same way
+
+const sourcesData = require('../data/sources');
+const crawlSnapshots = require('../data/crawl-snapshots');
+const youtubeCrawler = require('./youtube-crawler');
+const rssCrawler = require('./rss-crawler');
+const blogCrawler = require('./blog-crawler');
+
+const GENERIC_SOURCE_NAMES = ['Unnamed Source', 'YouTube Channel'];
+
+// Crawls in progress by source id; concurrent requests for a source share one crawl
+const inFlight = new Map();
+
+const crawlers = {
+  YouTube: {
+    crawl: (url) => youtubeCrawler.crawlYouTubeChannel(url),
+    getName: (data) => data.channelName,
+    getItems: (data) => data.videos
+  },
+  RSS: {
+    crawl: (url) => rssCrawler.crawlFeed(url),
+    getName: (data) => data.feedTitle,
+    getItems: (data) => data.items
+  },
+  Blog: {
+    crawl: (url) => blogCrawler.crawlBlog(url),
+    getName: (data) => data.blogTitle,
+    getItems: (data) => data.items
+  }
+};
+
+/**
+ * Resolve which crawler handles a source
+ * @param {Object} source - Source record
+ * @returns {string|null} - Crawler type, or null when unsupported
+ */
+const getCrawlerType = (source) => {
+  if (source.type === 'YouTube' || (source.url && source.url.includes('youtube.com'))) {
+    return 'YouTube';
+  }
+  return crawlers[source.type] ? source.type : null;
+};
+
+const isCrawlable = (source) => getCrawlerType(source) !== null;
+
+const isCrawling = (sourceId) => inFlight.has(parseInt(sourceId));
+
+/**
+ * Crawl a source, extract its trending keywords, snapshot its items and
+ * record the crawl on the source. A source already being crawled is not
+ * crawled again: callers get the result of the running crawl. Mock fallback data is returned as-is,
+ * without snapshots, growth metrics or a last-crawled update.
+ * @param {Object} source - Source record
+ * @returns {Promise<Object>} - { success, type, sourceName, items, trends, newItems, knownItems, data, crawledAt, isMockData, error }
+ */
+const crawlSource = (source) => {
+  const sourceId = parseInt(source.id);
+  if (!inFlight.has(sourceId)) {
+    inFlight.set(sourceId, runCrawl(source).finally(() => inFlight.delete(sourceId)));
+  }
+  return inFlight.get(sourceId);
+};
+
+/**
+ * @private
+ */
+const runCrawl = async (source) => {
+  const type = getCrawlerType(source);
+  if (!type) {
+    return {
+      success: false,
+      type: source.type,
+      error: `Crawling not supported for source type: ${source.type}`
+    };
+  }
+
+  const crawler = crawlers[type];
+  const crawlResult = await crawler.crawl(source.url);
+
+  if (!crawlResult.success) {
+    return {
+      success: false,
+      type,
+      sourceName: source.name,
+      error: crawlResult.error || `Failed to crawl ${type} source`
+    };
+  }
+
+  const items = crawler.getItems(crawlResult.data) || [];
+  const crawledAt = crawlResult.crawledAt || new Date().toISOString();
+
+  // Placeholder data from a failed fetch is never stored as crawl history
+  if (crawlResult.data.isMockData) {
+    return {
+      success: true,
+      type,
+      sourceName: source.name,
+      items,
+      trends: youtubeCrawler.extractTrendingKeywords(crawlResult.data, { metrics: false })
+        .map(({ items: trendItems, ...trend }) => ({
+          ...trend,
+          sources: [{ sourceId: source.id, sourceName: source.name, mentions: trend.mentions, items: [] }]
+        })),
+      newItems: 0,
+      knownItems: 0,
+      data: crawlResult.data,
+      crawledAt,
+      isMockData: true
+    };
+  }
+
+  const sourceName = crawler.getName(crawlResult.data) || source.name;
+  const { newItems, knownItems } = crawlSnapshots.recordSnapshot(source.id, items, crawledAt);
+  const trends = youtubeCrawler.extractTrendingKeywords(crawlResult.data, { sourceId: source.id })
+    .map(({ items: trendItems, ...trend }) => ({
+      ...trend,
+      sources: [{ sourceId: source.id, sourceName, mentions: trend.mentions, items: trendItems || [] }]
+    }));
+
+  sourcesData.updateLastCrawled(source.id, crawledAt);
+  if (GENERIC_SOURCE_NAMES.includes(source.name) && sourceName) {
+    sourcesData.updateName(source.id, sourceName);
+  }
+
+  return {
+    success: true,
+    type,
+    sourceName,
+    items,
+    trends,
+    newItems: newItems.length,
+    knownItems,
+    data: crawlResult.data,
+    crawledAt,
+    isMockData: false
+  };
+};
+
+module.exports = {
+  crawlSource,
+  isCrawlable,
+  isCrawling,
+  getCrawlerType
+};
@@ -0,0 +1,144 @@
+// Taxonomy Service
+// Validates category edits and keeps a compiled lookup of the taxonomy for
+// keyword categorization and extraction seeds
+
+const taxonomyData = require('../data/taxonomy');
+
+const MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Whole-string glob match: `*` is any run of characters, `?` one character
+ * Only ever backtracks to the last `*`, so a match costs at most
+ * pattern length x text length: user patterns cannot cause the catastrophic
+ * backtracking user-supplied regular expressions can.
+ * @param {string} pattern - Glob (lowercase)
+ * @param {string} text - Text to test (lowercase)
+ * @returns {boolean}
+ */
+const matchesGlob = (pattern, text) => {
+  let p = 0;
+  let t = 0;
+  let star = -1;
+  let starText = 0;
+
+  while (t < text.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+      p++;
+      t++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      starText = t;
+    } else if (star !== -1) {
+      p = star + 1;
+      t = ++starText;
+    } else {
+      return false;
+    }
+  }
+  while (p < pattern.length && pattern[p] === '*') p++;
+  return p === pattern.length;
+};
+
+class TaxonomyService {
+  constructor() {
+    this.compiled = null;
+  }
+
+  /**
+   * Validate a category payload
+   * @param {Object} data - { name, keywords, patterns }
+   * @param {Object} options - { partial, id } (id of the category being updated)
+   * @returns {string|null} - Error message
+   */
+  validateCategory(data, { partial = false, id } = {}) {
+    const { name, keywords, patterns } = data;
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return 'name is required';
+      }
+      const existing = taxonomyData.getByName(name.trim());
+      if (existing && existing.id !== parseInt(id)) {
+        return `Category "${existing.name}" already exists`;
+      }
+    }
+    if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string' || !k.trim()))) {
+      return 'keywords must be an array of strings';
+    }
+    if (patterns !== undefined) {
+      if (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string' || !p.trim() || p.length > MAX_PATTERN_LENGTH)) {
+        return `patterns must be an array of glob strings (* and ?) of up to ${MAX_PATTERN_LENGTH} characters`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a validated payload for storage
+   * @param {Object} data - Category fields
+   * @returns {Object}
+   */
+  normalize(data) {
+    const normalized = {};
+    if (data.name !== undefined) normalized.name = data.name.trim();
+    if (data.keywords !== undefined) {
+      normalized.keywords = [...new Set(data.keywords.map(k => k.trim().toLowerCase()))];
+    }
+    if (data.patterns !== undefined) {
+      normalized.patterns = [...new Set(data.patterns.map(p => p.trim().toLowerCase()))];
+    }
+    return normalized;
+  }
+
+  createCategory(data) {
+    return taxonomyData.create(this.normalize(data));
+  }
+
+  updateCategory(id, data) {
+    if (!taxonomyData.getById(id)) return null;
+    return taxonomyData.update(id, this.normalize(data));
+  }
+
+  deleteCategory(id) {
+    return taxonomyData.deleteById(id);
+  }
+
+  /**
+   * Categories for lookups, rebuilt after taxonomy changes
+   * @returns {Array} - [{ name, keywords, patterns }]
+   */
+  getCategories() {
+    const version = taxonomyData.getVersion();
+    if (!this.compiled || this.compiled.version !== version) {
+      this.compiled = {
+        version,
+        categories: taxonomyData.getAll().map(category => ({
+          name: category.name,
+          keywords: category.keywords,
+          patterns: category.patterns
+        }))
+      };
+    }
+    return this.compiled.categories;
+  }
+
+  /**
+   * Whether a keyword matches a category pattern (case-insensitive glob)
+   * @param {string} pattern - Category pattern
+   * @param {string} keyword - Keyword
+   * @returns {boolean}
+   */
+  matchesPattern(pattern, keyword) {
+    return matchesGlob(pattern.toLowerCase(), keyword.toLowerCase());
+  }
+
+  /**
+   * Every category keyword, used as extraction seeds
+   * @returns {Array<string>}
+   */
+  getSeedKeywords() {
+    return [...new Set(this.getCategories().flatMap(category => category.keywords))];
+  }
+}
+
+module.exports = new TaxonomyService();
@@ -0,0 +1,36 @@
+// Template Provider
+// Text generation from the per-category title and outline templates.
+// Used when no model provider is configured and as the fallback when one fails.
+
+const contentTemplates = require('./content-templates');
+
+class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  /**
+   * Generate a draft title and outline for a topic
+   * @param {Object} input - { keyword, category, related, audience }
+   * @returns {Promise<Object>} - { title, content, model, usage }
+   */
+  async generate(input) {
+    const template = contentTemplates.getForCategory(input.category);
+    if (!template) {
+      throw new Error(`No templates for category "${input.category}"`);
+    }
+
+    // Select random title template
+    const titleTemplate = template.titles[Math.floor(Math.random() * template.titles.length)];
+    const variables = contentTemplates.getVariables(input);
+
+    return {
+      title: contentTemplates.render(titleTemplate, variables),
+      content: contentTemplates.render(template.outline, variables),
+      model: null,
+      usage: null
+    };
+  }
+}
+
+module.exports = new TemplateProvider();
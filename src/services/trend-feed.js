@@ -0,0 +1,101 @@
+// Trend Feed Service
+// Renders newly trending keywords as a JSON Feed 1.1 or Atom feed
+
+const { escapeXml } = require('../utils/export');
+
+const FEED_TITLE = 'Twitter Agent Backend - New trending keywords';
+
+/**
+ * @private
+ */
+const describeEntry = (entry) => {
+  const details = [`#${entry.rank}`, `${entry.mentions} mentions`];
+  if (entry.growth) details.push(`growth ${entry.growth}`);
+  if (entry.category) details.push(entry.category);
+  const sources = entry.sources.map(source => source.sourceName).filter(Boolean);
+  return `"${entry.keyword}" entered the trends (${details.join(', ')})${sources.length ? ` from ${sources.join(', ')}` : ''}.`;
+};
+
+/**
+ * @private
+ */
+const describeFeed = (entries, { baseUrl, feedUrl, sourceBased }) => ({
+  title: sourceBased ? `${FEED_TITLE} (source based)` : FEED_TITLE,
+  homeUrl: `${baseUrl}/v1/analytics/trends${sourceBased ? '?source_based=true' : ''}`,
+  feedUrl,
+  items: entries.map(entry => ({
+    id: `trend:${entry.source_based ? 'source' : 'all'}:${encodeURIComponent(entry.keyword)}:${entry.recorded_at}`,
+    url: `${baseUrl}/v1/analytics/trends/${encodeURIComponent(entry.keyword)}/history`,
+    title: `New trending keyword: ${entry.keyword}`,
+    text: describeEntry(entry),
+    date: entry.recorded_at,
+    entry
+  }))
+});
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Array} entries - Rows from trendsService.getNewTrendingKeywords
+ * @param {Object} options - { baseUrl, feedUrl, sourceBased }
+ * @returns {Object}
+ */
+const buildJsonFeed = (entries, options) => {
+  const feed = describeFeed(entries, options);
+
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: 'Keywords that newly entered the trending keywords',
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.text,
+      date_published: item.date,
+      tags: item.entry.category ? [item.entry.category] : [],
+      _trend: item.entry
+    }))
+  };
+};
+
+/**
+ * Build an Atom feed document
+ * @param {Array} entries - Rows from trendsService.getNewTrendingKeywords
+ * @param {Object} options - { baseUrl, feedUrl, sourceBased }
+ * @returns {string} - XML
+ */
+const buildAtomFeed = (entries, options) => {
+  const feed = describeFeed(entries, options);
+  const updated = feed.items[0]?.date || new Date().toISOString();
+
+  const items = feed.items.map(item => [
+    '  <entry>',
+    `    <id>urn:${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.url)}"/>`,
+    `    <updated>${item.date}</updated>`,
+    `    <summary>${escapeXml(item.text)}</summary>`,
+    ...(item.entry.category ? [`    <category term="${escapeXml(item.entry.category)}"/>`] : []),
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <updated>${updated}</updated>`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  buildJsonFeed,
+  buildAtomFeed
+};
@@ -0,0 +1,98 @@
+// Trend metrics
+// Growth and volume for keywords, computed from stored crawl history:
+// mentions in the current time window are compared with the window before it
+
+const crawlSnapshots = require('../data/crawl-snapshots');
+const keywordAliases = require('./keyword-aliases');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWindowMs = () => {
+  const days = parseFloat(process.env.TREND_WINDOW_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 7) * DAY_MS;
+};
+
+// Items are dated by publication when the source provides it, else by when we first saw them
+const getItemTime = (item) => new Date(item.publishedDate || item.firstSeenAt).getTime();
+
+/**
+ * Count keyword mentions in the current and previous windows
+ * Stored item keywords are resolved to canonical keywords before counting.
+ * @param {Array<string>} keywords - Canonical keywords to count
+ * @param {Object} options
+ * @param {Array<number>} [options.sourceIds] - Restrict history to these sources (default: all)
+ * @param {number} [options.now] - Reference time (ms)
+ * @returns {Object} - { windows: { [keyword]: { current, previous } }, hasPreviousWindow, windowDays }
+ */
+const countKeywordWindows = (keywords, { sourceIds, now = Date.now() } = {}) => {
+  const windowMs = getWindowMs();
+  const currentStart = now - windowMs;
+  const previousStart = now - 2 * windowMs;
+  const wanted = new Set(keywords);
+
+  const windows = {};
+  keywords.forEach(keyword => {
+    windows[keyword] = { current: 0, previous: 0 };
+  });
+
+  let hasPreviousWindow = false;
+
+  for (const item of crawlSnapshots.getAllItems({ sourceIds })) {
+    const time = getItemTime(item);
+    if (Number.isNaN(time) || time < previousStart || time > now) continue;
+
+    const bucket = time >= currentStart ? 'current' : 'previous';
+    if (bucket === 'previous') hasPreviousWindow = true;
+
+    for (const keyword of new Set((item.keywords || []).map(k => keywordAliases.resolve(k)))) {
+      if (wanted.has(keyword)) windows[keyword][bucket]++;
+    }
+  }
+
+  return { windows, hasPreviousWindow, windowDays: windowMs / DAY_MS };
+};
+
+/**
+ * Zero counts for keywords without stored history (e.g. mock data)
+ * @param {Array<string>} keywords - Canonical keywords
+ * @returns {Object} - Same shape as countKeywordWindows
+ */
+const emptyWindows = (keywords) => {
+  const windows = {};
+  keywords.forEach(keyword => {
+    windows[keyword] = { current: 0, previous: 0 };
+  });
+  return { windows, hasPreviousWindow: false, windowDays: getWindowMs() / DAY_MS };
+};
+
+/**
+ * Growth between two windows
+ * Without a previous window in the stored history growth is reported as null
+ * and flagged as insufficient history rather than guessed. A keyword that had
+ * no mentions in a previous window that did exist is new (a breakout).
+ * @param {Object} window - { current, previous }
+ * @param {Object} options
+ * @param {boolean} options.hasPreviousWindow - Whether any stored item falls in the previous window
+ * @returns {Object} - { growth, growthRate, insufficientHistory }
+ */
+const computeGrowth = ({ current, previous }, { hasPreviousWindow = false } = {}) => {
+  if (!hasPreviousWindow) {
+    return { growth: null, growthRate: null, insufficientHistory: true };
+  }
+  if (!previous) {
+    return { growth: current > 0 ? 'new' : '0%', growthRate: current > 0 ? null : 0, insufficientHistory: false };
+  }
+
+  const growthRate = Math.round(((current - previous) / previous) * 100);
+  return {
+    growth: `${growthRate >= 0 ? '+' : ''}${growthRate}%`,
+    growthRate,
+    insufficientHistory: false
+  };
+};
+
+module.exports = {
+  countKeywordWindows,
+  emptyWindows,
+  computeGrowth
+};
@@ -1,6 +1,12 @@
 // Trends Service with in-memory cache, unified shape, and background refresh
+const crypto = require('crypto');
 const sourcesData = require('../data/sources');
 const youtubeCrawler = require('./youtube-crawler');
+const sourceCrawler = require('./source-crawler');
+const crawlScheduler = require('./crawl-scheduler');
+const trendHistory = require('../data/trend-history');
+const watchlistService = require('./watchlist-service');
+const keywordAliases = require('./keyword-aliases');
 
 // Cache entries keyed by variant (sourceBased: true/false)
 // { data, updatedAt, summary, ttlMs }
@@ -9,33 +15,196 @@ const cache = {
   false: null,
 };
 
+// In-flight refresh per variant; concurrent callers share it instead of crawling again
+// { promise, runId, startedAt, waiting, progress }
+const inFlight = {
+  true: null,
+  false: null,
+};
+
+// Outcome of the last finished refresh and the last error seen, per variant
+const refreshHistory = {
+  true: { lastRun: null, lastError: null },
+  false: { lastRun: null, lastError: null },
+};
+
+let runCounter = 0;
+
 const DEFAULT_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
+// TRENDS_TTL_MS applies to both variants; TRENDS_SOURCE_BASED_TTL_MS overrides the source-based one
+function getTtlMs(sourceBased) {
+  const parse = (value) => {
+    const ms = parseInt(value);
+    return Number.isFinite(ms) && ms > 0 ? ms : null;
+  };
+  const baseTtl = parse(process.env.TRENDS_TTL_MS) || DEFAULT_TTL_MS;
+  return sourceBased ? parse(process.env.TRENDS_SOURCE_BASED_TTL_MS) || baseTtl : baseTtl;
+}
+
 function isStale(entry, now = Date.now()) {
   if (!entry) return true;
   return now - entry.updatedAt > (entry.ttlMs || DEFAULT_TTL_MS);
 }
 
-function shapeResponse(trendsArray, meta) {
-  const shapedTrends = (trendsArray || []).map(t => ({
+function computeEtag(entry) {
+  const hash = crypto.createHash('sha1')
+    .update(String(entry.updatedAt))
+    .update(JSON.stringify(entry.data))
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+// Cache metadata for a variant's entry
+function describeCache(sourceBased, entry, now = Date.now()) {
+  const ageMs = Math.max(0, now - entry.updatedAt);
+  return {
+    etag: entry.etag,
+    updated_at: new Date(entry.updatedAt).toISOString(),
+    age_seconds: Math.floor(ageMs / 1000),
+    ttl_seconds: Math.floor(entry.ttlMs / 1000),
+    max_age_seconds: Math.max(0, Math.floor((entry.ttlMs - ageMs) / 1000)),
+    stale: isStale(entry, now),
+    refreshing: !!inFlight[String(!!sourceBased)],
+  };
+}
+
+const TREND_SORT_FIELDS = ['mentions', 'growth', 'volume'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const splitList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Validate and normalize trend list query parameters
+ * @param {Object} query - Request query
+ * @param {Object} options - { defaultLimit, maxLimit } (defaultLimit null: no limit)
+ * @returns {Object} - { error } or { filters, sort, order, limit, offset, cursorVersion }
+ */
+function parseTrendQuery(query = {}, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) {
+  const filters = {};
+
+  if (query.category) filters.category = splitList(query.category).map(c => c.toLowerCase());
+  if (query.velocity) filters.velocity = splitList(query.velocity).map(v => v.toLowerCase());
+  if (query.sentiment) filters.sentiment = splitList(query.sentiment).map(v => v.toLowerCase());
+
+  if (query.sourceIds) {
+    filters.sourceIds = splitList(query.sourceIds).map(id => parseInt(id));
+    if (filters.sourceIds.some(Number.isNaN)) {
+      return { error: 'sourceIds must be a comma-separated list of source IDs' };
+    }
+  }
+
+  if (query.minMentions !== undefined) {
+    filters.minMentions = parseInt(query.minMentions);
+    if (Number.isNaN(filters.minMentions) || filters.minMentions < 0) {
+      return { error: 'minMentions must be a non-negative number' };
+    }
+  }
+
+  const sort = query.sort || 'mentions';
+  if (!TREND_SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${TREND_SORT_FIELDS.join(', ')}` };
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit);
+  if (limit !== null && (Number.isNaN(limit) || limit < 1 || limit > maxLimit)) {
+    return { error: `limit must be a number between 1 and ${maxLimit}` };
+  }
+
+  let offset = 0;
+  let cursorVersion;
+  if (query.cursor) {
+    try {
+      ({ offset, version: cursorVersion } = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8')));
+    } catch {
+      offset = NaN;
+    }
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(cursorVersion)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filters, sort, order, limit, offset, cursorVersion };
+}
+
+// Cursors carry the refresh time of the data they page through, so a page is
+// never cut from a different (refreshed) trend list than the one before it
+const encodeCursor = (offset, version) => Buffer.from(JSON.stringify({ offset, version })).toString('base64url');
+
+// Filter before sorting and paging, so niche categories are not cut off by the top-N
+function selectTrends(trendsArray, { filters = {}, sort = 'mentions', order = 'desc' } = {}) {
+  const sortValue = {
+    mentions: t => t.mentions,
+    // New keywords (no mentions in the previous window) outgrow any rate
+    growth: t => t.growth === 'new' ? Infinity : t.growth_rate,
+    volume: t => t.volume,
+  }[sort];
+
+  return (trendsArray || [])
+    .filter(t => !filters.category || filters.category.includes(String(t.category).toLowerCase()))
+    .filter(t => !filters.velocity || filters.velocity.includes(String(t.velocity).toLowerCase()))
+    .filter(t => !filters.sentiment || filters.sentiment.includes(String(t.sentiment).toLowerCase()))
+    .filter(t => filters.minMentions === undefined || t.mentions >= filters.minMentions)
+    .filter(t => !filters.sourceIds || (t.sources || []).some(s => filters.sourceIds.includes(s.sourceId)))
+    .sort((a, b) => {
+      const av = sortValue(a);
+      const bv = sortValue(b);
+      // Missing values (e.g. growth without history) always go last
+      if (av === null || av === undefined) return bv === null || bv === undefined ? 0 : 1;
+      if (bv === null || bv === undefined) return -1;
+      return order === 'asc' ? av - bv : bv - av;
+    });
+}
+
+function shapeResponse(trendsArray, meta, query = {}) {
+  const { limit = DEFAULT_PAGE_SIZE, offset = 0, cursorVersion } = query;
+  if (cursorVersion !== undefined && cursorVersion !== meta?.lastUpdated) {
+    return { error: 'Cursor expired: trends were refreshed since it was issued, start again without a cursor', status: 410 };
+  }
+
+  const matching = selectTrends(trendsArray, query);
+  const page = matching.slice(offset, offset + limit);
+
+  const shapedTrends = page.map(t => ({
     keyword: t.keyword,
     growth: t.growth,
     category: t.category,
     mentions: t.mentions,
+    volume: t.volume,
+    insufficient_history: !!t.insufficient_history,
+    sentiment: t.sentiment,
+    sentiment_score: t.sentiment_score ?? null,
+    aliases: t.aliases || [],
+    velocity: t.velocity,
+    sources: (t.sources || []).map(({ sourceId, sourceName, mentions, items }) => ({
+      sourceId,
+      sourceName,
+      mentions,
+      items: items || [],
+    })),
   }));
   return {
     trends: shapedTrends,
     trends_count: shapedTrends.length,
+    total_matching: matching.length,
+    next_cursor: offset + limit < matching.length ? encodeCursor(offset + limit, meta?.lastUpdated) : null,
     analysis_summary: {
       sources_analyzed: meta?.sourcesAnalyzed ?? 0,
-      total_keywords_extracted: shapedTrends.length,
+      total_keywords_extracted: (trendsArray || []).length,
       last_updated: new Date(meta?.lastUpdated || Date.now()).toISOString(),
       ...(typeof meta?.realDataSources === 'number' ? { real_data_sources: meta.realDataSources } : {}),
     },
+    ...(meta?.cache ? { cache: meta.cache } : {}),
   };
 }
 
-async function crawlAndExtract({ sourceBased }) {
+async function crawlAndExtract({ sourceBased, onProgress = () => {} }) {
   const sources = sourcesData.getAll();
   const activeSources = sources.filter(s => s.status === 'active');
 
@@ -43,41 +212,41 @@ async function crawlAndExtract({ sourceBased }) {
   const crawlResults = [];
 
   for (const source of activeSources) {
+    onProgress({ total: activeSources.length, current: source, results: crawlResults });
     try {
-      if (source.type === 'YouTube' || (source.url && source.url.includes('youtube.com'))) {
-        const crawlResult = await youtubeCrawler.crawlYouTubeChannel(source.url);
+      if (sourceCrawler.isCrawlable(source)) {
+        const crawlResult = await sourceCrawler.crawlSource(source);
+        crawlScheduler.recordRun(source.id);
         if (crawlResult.success) {
-          const trends = youtubeCrawler.extractTrendingKeywords(crawlResult.data);
-          allTrends.push(...trends);
+          allTrends.push(...crawlResult.trends);
           crawlResults.push({
             source: source.name,
             type: source.type,
             status: 'success',
-            isMockData: !!crawlResult.data.isMockData,
-            videosFound: crawlResult.data.totalVideos,
-            trendsExtracted: trends.length,
+            isMockData: crawlResult.isMockData,
+            itemsFound: crawlResult.items.length,
+            // Original field name, kept for existing clients
+            videosFound: crawlResult.items.length,
+            newItems: crawlResult.newItems,
+            trendsExtracted: crawlResult.trends.length,
           });
-          sourcesData.updateLastCrawled(source.id, new Date().toISOString());
         } else {
-          crawlResults.push({ source: source.name, type: source.type, status: 'failed' });
+          crawlResults.push({ source: source.name, type: source.type, status: 'failed', error: crawlResult.error });
         }
       } else if (!sourceBased) {
-        // Non-sourceBased mode: allow simple fabricated trends for non-YouTube sources
-        if (source.type === 'RSS') {
-          const mockTrends = [
-            { keyword: 'technology', mentions: 5, growth: '+45%', volume: 12000, category: 'Technology' },
-            { keyword: 'innovation', mentions: 3, growth: '+62%', volume: 8500, category: 'Business' },
-            { keyword: 'research', mentions: 4, growth: '+38%', volume: 9200, category: 'General' },
-          ].map(trend => ({ ...trend, updated_at: new Date().toISOString(), sentiment: 'positive', velocity: 'steady' }));
-          allTrends.push(...mockTrends);
-          crawlResults.push({ source: source.name, type: source.type, status: 'success', isMockData: true, trendsExtracted: mockTrends.length });
-          sourcesData.updateLastCrawled(source.id, new Date().toISOString());
-        } else if (source.type === 'Twitter') {
+        // Non-sourceBased mode: allow simple fabricated trends for sources without a real crawler
+        if (source.type === 'Twitter') {
           const mockTrends = [
             { keyword: 'ai', mentions: 8, growth: '+123%', volume: 25000, category: 'Technology' },
             { keyword: 'startup', mentions: 4, growth: '+89%', volume: 18000, category: 'Business' },
             { keyword: 'content', mentions: 6, growth: '+67%', volume: 15000, category: 'Content' },
-          ].map(trend => ({ ...trend, updated_at: new Date().toISOString(), sentiment: 'positive', velocity: 'accelerating' }));
+          ].map(trend => ({
+            ...trend,
+            updated_at: new Date().toISOString(),
+            sentiment: 'positive',
+            velocity: 'accelerating',
+            sources: [{ sourceId: source.id, sourceName: source.name, mentions: trend.mentions, items: [] }],
+          }));
           allTrends.push(...mockTrends);
           crawlResults.push({ source: source.name, type: source.type, status: 'success', isMockData: true, trendsExtracted: mockTrends.length });
           sourcesData.updateLastCrawled(source.id, new Date().toISOString());
@@ -89,6 +258,7 @@ async function crawlAndExtract({ sourceBased }) {
       crawlResults.push({ source: source.name, type: source.type, status: 'failed', error: err?.message });
     }
   }
+  onProgress({ total: activeSources.length, current: null, results: crawlResults });
 
   // Combine trends
   const combined = youtubeCrawler.combineTrends([allTrends]);
@@ -108,34 +278,138 @@ async function crawlAndExtract({ sourceBased }) {
   };
 }
 
-async function refreshTrends({ sourceBased }) {
-  const { trends, meta } = await crawlAndExtract({ sourceBased });
-  const entry = {
-    data: trends,
-    updatedAt: meta.lastUpdated,
-    summary: meta,
-    ttlMs: DEFAULT_TTL_MS,
+/**
+ * Crawl, extract and cache one variant, recording progress for refresh-status
+ * @private
+ */
+async function runRefresh(sourceBased, run) {
+  const key = String(!!sourceBased);
+  const history = refreshHistory[key];
+
+  const onProgress = ({ total, current, results }) => {
+    const failed = results.filter(r => r.status === 'failed');
+    run.progress = {
+      total,
+      completed: results.length,
+      succeeded: results.filter(r => r.status === 'success').length,
+      failed: failed.length,
+      current_source: current ? current.name : null,
+    };
+    // A failing source is reported as the last error as soon as it happens
+    if (failed.length > run.failuresReported) {
+      const lastFailure = failed[failed.length - 1];
+      history.lastError = { runId: run.runId, message: lastFailure.error, source: lastFailure.source, at: new Date().toISOString() };
+      run.failuresReported = failed.length;
+    }
   };
-  cache[String(!!sourceBased)] = entry;
-  return shapeResponse(trends, {
-    sourcesAnalyzed: meta.sourcesAnalyzed,
-    totalKeywordsExtracted: trends.length,
-    lastUpdated: meta.lastUpdated,
-    realDataSources: meta.realDataSources,
-  });
+
+  try {
+    const { trends, meta } = await crawlAndExtract({ sourceBased, onProgress });
+    const entry = {
+      data: trends,
+      updatedAt: meta.lastUpdated,
+      summary: meta,
+      ttlMs: getTtlMs(sourceBased),
+    };
+    entry.etag = computeEtag(entry);
+    cache[key] = entry;
+    const recordedAt = new Date(meta.lastUpdated).toISOString();
+    trendHistory.recordRefresh(trends, { sourceBased, recordedAt });
+    // Watchlists follow the default variant only, so one rule crossing alerts (and calls its webhook) once
+    if (!sourceBased) {
+      try {
+        watchlistService.evaluate(trends, { sourceBased, evaluatedAt: recordedAt });
+      } catch (err) {
+        console.error('Watchlist evaluation failed:', err);
+      }
+    }
+    history.lastRun = { ...describeRun(run), status: 'completed', finished_at: new Date().toISOString() };
+    return entry;
+  } catch (err) {
+    history.lastError = { runId: run.runId, message: err?.message || String(err), source: null, at: new Date().toISOString() };
+    history.lastRun = { ...describeRun(run), status: 'failed', finished_at: new Date().toISOString() };
+    throw err;
+  }
 }
 
-async function getTrends({ sourceBased, forceRefresh = false, backgroundIfStale = true }) {
+function describeRun(run) {
+  return {
+    run_id: run.runId,
+    started_at: new Date(run.startedAt).toISOString(),
+    duration_ms: Date.now() - run.startedAt,
+    callers: run.waiting,
+    progress: run.progress,
+  };
+}
+
+/**
+ * Refresh a variant, joining the in-flight run when there is one
+ * @param {Object} options - { sourceBased, query }
+ * @returns {Promise<Object>} - Shaped trends response
+ */
+async function refreshTrends({ sourceBased, query }) {
+  const key = String(!!sourceBased);
+
+  let run = inFlight[key];
+  if (run) {
+    run.waiting++;
+  } else {
+    run = {
+      runId: ++runCounter,
+      startedAt: Date.now(),
+      waiting: 1,
+      failuresReported: 0,
+      progress: { total: 0, completed: 0, succeeded: 0, failed: 0, current_source: null },
+    };
+    run.promise = runRefresh(sourceBased, run).finally(() => {
+      inFlight[key] = null;
+    });
+    inFlight[key] = run;
+  }
+
+  const entry = await run.promise;
+
+  return shapeResponse(entry.data, {
+    sourcesAnalyzed: entry.summary.sourcesAnalyzed,
+    totalKeywordsExtracted: entry.data.length,
+    lastUpdated: entry.updatedAt,
+    realDataSources: entry.summary.realDataSources,
+    cache: describeCache(sourceBased, entry),
+  }, query);
+}
+
+/**
+ * Progress of the running refresh and outcome of the last one
+ * @param {Object} options - { sourceBased }
+ * @returns {Object}
+ */
+function getRefreshStatus({ sourceBased }) {
+  const key = String(!!sourceBased);
+  const run = inFlight[key];
+  const { lastRun, lastError } = refreshHistory[key];
+
+  return {
+    source_based: !!sourceBased,
+    running: !!run,
+    current_run: run ? describeRun(run) : null,
+    last_run: lastRun,
+    last_error: lastError
+      ? { message: lastError.message, source: lastError.source, at: lastError.at, run_id: lastError.runId }
+      : null,
+  };
+}
+
+async function getTrends({ sourceBased, forceRefresh = false, backgroundIfStale = true, query }) {
   const key = String(!!sourceBased);
   const entry = cache[key];
   const stale = isStale(entry);
 
   if (forceRefresh || !entry) {
     // Do a foreground refresh and return the result
-    return await refreshTrends({ sourceBased });
+    return await refreshTrends({ sourceBased, query });
   }
 
-  if (stale && backgroundIfStale) {
+  if (stale && backgroundIfStale && !inFlight[key]) {
     // Kick off background refresh but return current cache
     refreshTrends({ sourceBased }).catch(err => console.error('Background trends refresh failed:', err));
   }
@@ -145,11 +419,201 @@ async function getTrends({ sourceBased, forceRefresh = false, backgroundIfStale
     totalKeywordsExtracted: entry.data?.length || 0,
     lastUpdated: entry.updatedAt,
     realDataSources: entry.summary?.realDataSources,
+    cache: describeCache(sourceBased, entry),
+  }, query);
+}
+
+/**
+ * Cached trends of a variant, filtered and sorted like /trends, without
+ * waiting for a crawl: a missing or stale cache only starts a background refresh
+ * @param {Object} options - { sourceBased, query (from parseTrendQuery; limit and cursor are ignored) }
+ * @returns {Array|null} - Every matching trend, or null when nothing is cached yet
+ */
+function getCachedTrends({ sourceBased, query = {} }) {
+  const key = String(!!sourceBased);
+  const entry = cache[key];
+
+  if ((!entry || isStale(entry)) && !inFlight[key]) {
+    refreshTrends({ sourceBased }).catch(err => console.error('Background trends refresh failed:', err));
+  }
+
+  return entry ? selectTrends(entry.data, query) : null;
+}
+
+const MAX_EXPORT_ROWS = 10000;
+
+// One flat row per trend (current data) or per recorded history point
+function toExportRow(trend, { recordedAt, rank, sourceBased }) {
+  return {
+    recorded_at: new Date(trend.recordedAt || recordedAt).toISOString(),
+    source_based: trend.sourceBased ?? !!sourceBased,
+    rank: trend.rank ?? rank,
+    keyword: trend.keyword,
+    category: trend.category ?? null,
+    mentions: trend.mentions,
+    volume: trend.volume ?? null,
+    growth: trend.growth ?? null,
+    growth_rate: trend.growth_rate ?? null,
+    sentiment: trend.sentiment ?? null,
+    sentiment_score: trend.sentiment_score ?? null,
+    velocity: trend.velocity ?? null,
+    aliases: trend.aliases || [],
+    sources: (trend.sources || []).map(({ sourceId, sourceName, mentions }) => ({ sourceId, sourceName, mentions })),
+  };
+}
+
+/**
+ * Trend rows for export
+ * Without a range, exports the current (cached) trends sorted like the trends
+ * endpoint; with from/to, exports the recorded history points in that range,
+ * oldest first. The trend filters apply to both. A range reaching back to
+ * history recorded when only the top keywords of each refresh were kept (no
+ * refresh record) is refused rather than exported incomplete.
+ * @param {Object} options - { sourceBased, query (from parseTrendQuery), from, to } (from/to in ms)
+ * @returns {Promise<Object>} - { rows }, or { error, status } when the range cannot be exported in full
+ */
+async function exportTrends({ sourceBased, query = {}, from, to }) {
+  const { limit = null } = query;
+  let rows;
+
+  if (from !== undefined || to !== undefined) {
+    const points = trendHistory.getRange({ sourceBased, from, to });
+    const refreshes = trendHistory.getRefreshes({ sourceBased });
+    const recorded = new Set(refreshes.map(refresh => `${refresh.sourceBased}:${refresh.recordedAt}`));
+    if (points.some(point => !recorded.has(`${point.sourceBased}:${point.recordedAt}`))) {
+      const completeFrom = refreshes.length ? ` (complete history starts at ${refreshes[0].recordedAt})` : '';
+      return {
+        error: `History in this range only covers the top keywords of each refresh; choose a later range${completeFrom}`,
+        status: 409,
+      };
+    }
+    const matching = new Set(selectTrends(points, { filters: query.filters }));
+    rows = points.filter(point => matching.has(point)).map(point => toExportRow(point, {}));
+  } else {
+    const key = String(!!sourceBased);
+    if (!cache[key]) {
+      await refreshTrends({ sourceBased });
+    } else if (isStale(cache[key]) && !inFlight[key]) {
+      refreshTrends({ sourceBased }).catch(err => console.error('Background trends refresh failed:', err));
+    }
+    const entry = cache[key];
+    const ranked = entry.data.map((trend, index) => ({ ...trend, rank: index + 1 }));
+    rows = selectTrends(ranked, query).map(trend => toExportRow(trend, { recordedAt: entry.updatedAt, sourceBased }));
+  }
+
+  return { rows: limit === null ? rows : rows.slice(0, limit) };
+}
+
+/**
+ * Keywords that entered the top N between consecutive recorded refreshes
+ * The first refresh in the range is only the baseline.
+ * @param {Object} options - { sourceBased, top, since (ms), limit }
+ * @returns {Array} - Newest first
+ */
+function getNewTrendingKeywords({ sourceBased, top = 20, since, limit = 50 }) {
+  const refreshes = new Map();
+  trendHistory.getRange({ sourceBased: !!sourceBased, from: since }).forEach(point => {
+    if (!refreshes.has(point.recordedAt)) refreshes.set(point.recordedAt, []);
+    refreshes.get(point.recordedAt).push(point);
   });
+
+  const entries = [];
+  let previousTop = null;
+  for (const points of refreshes.values()) {
+    const topPoints = points.filter(point => point.rank <= top);
+    if (previousTop) {
+      entries.push(...topPoints.filter(point => !previousTop.has(point.keyword)));
+    }
+    previousTop = new Set(topPoints.map(point => point.keyword));
+  }
+
+  return entries
+    .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt) || a.rank - b.rank)
+    .slice(0, limit)
+    .map(point => toExportRow(point, {}));
+}
+
+const HISTORY_INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+const MAX_HISTORY_BUCKETS = 1000;
+
+/**
+ * Bucketed time series for one keyword
+ * Each bucket averages the refreshes recorded in it (per-source mentions
+ * included); a refresh that did not surface the keyword counts as 0 mentions.
+ * Buckets without any refresh are kept (with null values) so the series can be
+ * charted on a continuous axis.
+ * @param {string} keyword - Keyword (case-insensitive)
+ * @param {Object} options - { from, to, interval, sourceBased } (from/to in ms, validated by the caller)
+ * @returns {Object} - { keyword, interval, from, to, points_recorded, series }
+ */
+function getKeywordHistory(keyword, { from, to, interval = 'day', sourceBased }) {
+  const bucketMs = HISTORY_INTERVALS[interval];
+  // History is recorded under canonical keywords, so aliases find it too
+  const canonical = keywordAliases.resolve(keyword);
+  const points = trendHistory.getPoints(canonical, { sourceBased, from, to });
+  const start = Math.floor(from / bucketMs) * bucketMs;
+  const buckets = new Map();
+  for (let t = start; t <= to; t += bucketMs) {
+    buckets.set(t, []);
+  }
+
+  // One sample per recorded refresh: the keyword's point, or null when the refresh did not surface it
+  const samples = new Map(trendHistory.getRefreshes({ sourceBased, from, to })
+    .map(refresh => [`${refresh.sourceBased}:${refresh.recordedAt}`, { recordedAt: refresh.recordedAt, point: null }]));
+  points.forEach(point => samples.set(`${point.sourceBased}:${point.recordedAt}`, { recordedAt: point.recordedAt, point }));
+  samples.forEach(sample => {
+    const bucket = Math.floor(new Date(sample.recordedAt).getTime() / bucketMs) * bucketMs;
+    buckets.get(bucket)?.push(sample.point);
+  });
+
+  const average = (values) => values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : null;
+
+  const series = [...buckets.entries()].map(([bucketStart, bucketSamples]) => {
+    const bucketPoints = bucketSamples.filter(Boolean);
+    // Per-source mentions are averaged over the bucket's samples like the totals
+    // (a sample without the source counts as 0), so they add up to `mentions`
+    const sources = {};
+    bucketSamples.forEach((point, index) => (point?.sources || []).forEach(source => {
+      sources[source.sourceId] = sources[source.sourceId] || { sourceId: source.sourceId, sourceName: source.sourceName, mentions: new Array(bucketSamples.length).fill(0) };
+      sources[source.sourceId].mentions[index] += source.mentions;
+    }));
+
+    return {
+      bucket_start: new Date(bucketStart).toISOString(),
+      samples: bucketSamples.length,
+      mentions: average(bucketSamples.map(point => point ? point.mentions : 0)),
+      volume: average(bucketPoints.filter(p => p.volume !== null).map(p => p.volume)),
+      rank: bucketPoints.length ? Math.min(...bucketPoints.map(p => p.rank)) : null,
+      sources: Object.values(sources).map(source => ({ ...source, mentions: average(source.mentions) })),
+    };
+  });
+
+  return {
+    keyword: canonical,
+    interval,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    ...(sourceBased !== undefined ? { source_based: !!sourceBased } : {}),
+    points_recorded: points.length,
+    series,
+  };
 }
 
 module.exports = {
   getTrends,
+  getCachedTrends,
   refreshTrends,
+  parseTrendQuery,
+  getRefreshStatus,
+  exportTrends,
+  getNewTrendingKeywords,
+  MAX_EXPORT_ROWS,
+  getKeywordHistory,
+  HISTORY_INTERVALS,
+  MAX_HISTORY_BUCKETS,
 };
 
@@ -0,0 +1,290 @@
+// Watchlist Service
+// Checks watched keywords against each trends refresh, stores alerts and
+// delivers them to the watchlist's webhook
+
+const watchlistsData = require('../data/watchlists');
+const watchlistAlerts = require('../data/watchlist-alerts');
+const keywordAliases = require('./keyword-aliases');
+const { isValidUrl } = require('../utils/helpers');
+const { isPublicHostname, publicLookup, postJson } = require('../utils/network');
+
+const RULE_TYPES = ['mentions_above', 'growth_above', 'entered_top'];
+const DEFAULT_TOP_RANK = 10;
+
+const parsePositive = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+class WatchlistService {
+  constructor() {
+    this.webhookTimeoutMs = parsePositive(process.env.WATCHLIST_WEBHOOK_TIMEOUT_MS, 5000);
+    this.webhookMaxAttempts = parsePositive(process.env.WATCHLIST_WEBHOOK_MAX_ATTEMPTS, 3);
+    this.webhookRetryDelayMs = parsePositive(process.env.WATCHLIST_WEBHOOK_RETRY_DELAY_MS, 2000);
+    // Webhooks on localhost/private networks are refused unless explicitly allowed (local development)
+    this.allowPrivateWebhooks = process.env.WATCHLIST_ALLOW_PRIVATE_WEBHOOKS === 'true';
+  }
+
+  /**
+   * Validate a watchlist payload
+   * @param {Object} data - Watchlist fields
+   * @param {Object} options - { partial } for updates
+   * @returns {string|null} - Error message
+   */
+  validateWatchlist(data, { partial = false } = {}) {
+    const { name, keywords, rules, webhookUrl, active } = data;
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'name is required';
+    }
+    if (!partial || keywords !== undefined) {
+      if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(k => typeof k !== 'string' || !k.trim())) {
+        return 'keywords must be a non-empty array of strings';
+      }
+    }
+    if (!partial || rules !== undefined) {
+      if (!Array.isArray(rules) || rules.length === 0) {
+        return 'rules must be a non-empty array';
+      }
+      const invalid = rules.map(rule => this.validateRule(rule)).find(Boolean);
+      if (invalid) return invalid;
+    }
+    if (webhookUrl !== undefined && webhookUrl !== null) {
+      if (typeof webhookUrl !== 'string' || !isValidUrl(webhookUrl) || !/^https?:/.test(webhookUrl)) {
+        return 'webhookUrl must be an http(s) URL or null';
+      }
+      if (!this.allowPrivateWebhooks && !isPublicHostname(new URL(webhookUrl).hostname)) {
+        return 'webhookUrl must not point to localhost, link-local or private network addresses';
+      }
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return 'active must be a boolean';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  validateRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      return `rule type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    if (rule.type === 'entered_top') {
+      if (rule.rank !== undefined && (!Number.isInteger(rule.rank) || rule.rank < 1)) {
+        return 'entered_top rank must be a positive integer';
+      }
+    } else if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+      return `${rule.type} requires a numeric threshold`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a validated payload for storage
+   * @param {Object} data - Watchlist fields
+   * @returns {Object}
+   */
+  normalize(data) {
+    const normalized = {};
+    if (data.name !== undefined) normalized.name = data.name.trim();
+    if (data.keywords !== undefined) {
+      normalized.keywords = [...new Set(data.keywords.map(k => k.trim().toLowerCase()))];
+    }
+    if (data.rules !== undefined) {
+      normalized.rules = data.rules.map(rule => rule.type === 'entered_top'
+        ? { type: rule.type, rank: rule.rank || DEFAULT_TOP_RANK }
+        : { type: rule.type, threshold: rule.threshold });
+    }
+    if (data.webhookUrl !== undefined) normalized.webhookUrl = data.webhookUrl;
+    if (data.active !== undefined) normalized.active = data.active;
+    return normalized;
+  }
+
+  createWatchlist(data) {
+    return watchlistsData.create(this.normalize(data));
+  }
+
+  updateWatchlist(id, data) {
+    if (!watchlistsData.getById(id)) return null;
+
+    const updates = this.normalize(data);
+    // Changed keywords or rules start from a clean slate
+    if (updates.keywords || updates.rules) updates.state = {};
+    return watchlistsData.update(id, updates);
+  }
+
+  deleteWatchlist(id) {
+    const deleted = watchlistsData.deleteById(id);
+    if (deleted) watchlistAlerts.deleteForWatchlist(id);
+    return deleted;
+  }
+
+  /**
+   * Whether a rule currently holds for a trend
+   * @private
+   */
+  checkRule(rule, trend, rank) {
+    if (!trend) return { matched: false };
+
+    switch (rule.type) {
+      case 'mentions_above':
+        return {
+          matched: trend.mentions > rule.threshold,
+          value: trend.mentions,
+          message: `"${trend.keyword}" has ${trend.mentions} mentions (above ${rule.threshold})`
+        };
+      case 'growth_above': {
+        const growthRate = trend.growth_rate ?? (trend.growth ? parseInt(trend.growth) : null);
+        return {
+          matched: growthRate !== null && growthRate > rule.threshold,
+          value: growthRate,
+          message: `"${trend.keyword}" is growing ${trend.growth} (above ${rule.threshold}%)`
+        };
+      }
+      case 'entered_top':
+        return {
+          matched: rank <= rule.rank,
+          value: rank,
+          message: `"${trend.keyword}" entered the top ${rule.rank} at #${rank}`
+        };
+      default:
+        return { matched: false };
+    }
+  }
+
+  /**
+   * Check all active watchlists against a trends refresh
+   * Alerts fire when a rule starts to hold, not on every refresh while it holds.
+   * entered_top needs a previous evaluation to compare with: the first one only
+   * records which keywords are already in the top N.
+   * @param {Array} trends - Combined trends, ranked by mentions
+   * @param {Object} options - { sourceBased, evaluatedAt }
+   * @returns {Array} - Alerts created
+   */
+  evaluate(trends, { sourceBased, evaluatedAt = new Date().toISOString() } = {}) {
+    const ranked = {};
+    trends.forEach((trend, index) => {
+      const keyword = trend.keyword.toLowerCase();
+      if (!ranked[keyword]) ranked[keyword] = { trend, rank: index + 1 };
+    });
+
+    const variant = sourceBased ? 'source' : 'all';
+    const created = [];
+
+    watchlistsData.getAll().filter(watchlist => watchlist.active).forEach(watchlist => {
+      const state = { ...(watchlist.state || {}) };
+      const alerts = [];
+
+      watchlist.keywords.forEach(keyword => {
+        const { trend, rank } = ranked[keywordAliases.resolve(keyword)] || {};
+
+        watchlist.rules.forEach((rule, ruleIndex) => {
+          const key = `${variant}:${keyword}:${ruleIndex}`;
+          const { matched, value, message } = this.checkRule(rule, trend, rank);
+
+          const started = rule.type === 'entered_top' ? state[key] === false : !state[key];
+          if (matched && started) {
+            alerts.push(watchlistAlerts.create({
+              watchlistId: watchlist.id,
+              watchlistName: watchlist.name,
+              keyword,
+              rule,
+              value,
+              message,
+              sourceBased: !!sourceBased,
+              triggeredAt: evaluatedAt,
+              delivery: watchlist.webhookUrl ? { status: 'pending', attempts: 0 } : null
+            }));
+          }
+          state[key] = matched;
+        });
+      });
+
+      watchlistsData.update(watchlist.id, { state });
+
+      if (alerts.length > 0) {
+        console.log(`🔔 Watchlist "${watchlist.name}": ${alerts.length} alert(s)`);
+        created.push(...alerts);
+        if (watchlist.webhookUrl) {
+          this.deliver(watchlist, alerts).catch(err => console.error('Watchlist webhook delivery failed:', err));
+        }
+      }
+    });
+
+    return created;
+  }
+
+  /**
+   * POST alerts to the watchlist's webhook and record the outcome, retrying
+   * network errors, timeouts, 429 and 5xx responses with exponential backoff
+   * @param {Object} watchlist - Watchlist record
+   * @param {Array} alerts - Alerts to deliver
+   * @returns {Promise<boolean>} - Whether the webhook accepted them
+   */
+  async deliver(watchlist, alerts) {
+    let attempt = 0;
+    let result;
+
+    do {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.webhookRetryDelayMs * 2 ** (attempt - 1)));
+      }
+      attempt++;
+      result = await this.postAlerts(watchlist, alerts);
+
+      const retrying = !!result.error && result.retryable && attempt < this.webhookMaxAttempts;
+      alerts.forEach(alert => {
+        watchlistAlerts.updateDelivery(alert.id, result.error
+          ? { status: retrying ? 'retrying' : 'failed', attempts: attempt, error: result.error }
+          : { status: 'delivered', attempts: attempt, error: null, deliveredAt: new Date().toISOString() });
+      });
+
+      if (result.error) {
+        console.error(`❌ Watchlist "${watchlist.name}" webhook (attempt ${attempt}): ${result.error}`);
+      }
+      if (!retrying) break;
+    } while (attempt < this.webhookMaxAttempts);
+
+    return !result.error;
+  }
+
+  /**
+   * One delivery attempt
+   * @private
+   * @returns {Promise<Object>} - { error, retryable }
+   */
+  async postAlerts(watchlist, alerts) {
+    try {
+      const { hostname } = new URL(watchlist.webhookUrl);
+      if (!this.allowPrivateWebhooks && !isPublicHostname(hostname)) {
+        return { error: 'Webhook host is a private network address', retryable: false };
+      }
+
+      // Checked again on delivery, on the address actually connected to: a public name may resolve to a private address.
+      // Redirects are not followed, so they cannot lead to internal hosts either.
+      const response = await postJson(watchlist.webhookUrl, {
+        event: 'watchlist.alerts',
+        watchlist: { id: watchlist.id, name: watchlist.name },
+        alerts: alerts.map(({ delivery, ...alert }) => alert)
+      }, {
+        timeoutMs: this.webhookTimeoutMs,
+        lookup: this.allowPrivateWebhooks ? undefined : publicLookup
+      });
+      if (!response.ok) {
+        return {
+          error: `Webhook responded with HTTP ${response.status}`,
+          retryable: response.status === 429 || response.status >= 500
+        };
+      }
+      return { error: null };
+    } catch (err) {
+      if (err.code === 'EPRIVATEADDRESS') {
+        return { error: 'Webhook host resolves to a private network address', retryable: false };
+      }
+      return { error: err.name === 'TimeoutError' ? 'Webhook timed out' : err.message, retryable: true };
+    }
+  }
+}
+
+module.exports = new WatchlistService();
@@ -2,6 +2,15 @@
 // Real YouTube channel crawling functionality using RSS feeds
 
 const { XMLParser } = require('fast-xml-parser');
+const youtubeChannels = require('../data/youtube-channels');
+const trendMetrics = require('./trend-metrics');
+const keywordExtractor = require('./keyword-extractor');
+const taxonomyService = require('./taxonomy-service');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+const keywordAliases = require('./keyword-aliases');
+
+// Number of linked videos/articles kept per keyword and source
+const MAX_ATTRIBUTED_ITEMS = 5;
 
 class YouTubeCrawlerService {
   constructor() {
@@ -9,77 +18,99 @@ class YouTubeCrawlerService {
       ignoreAttributes: false,
       attributeNamePrefix: "@_"
     });
-    
-    // Common tech/business keywords for trend detection
-    this.trendKeywords = {
-      technology: ['ai', 'machine learning', 'code', 'programming', 'software', 'development', 'tech', 'api', 'database', 'cloud', 'javascript', 'python', 'react', 'node', 'web', 'mobile', 'app', 'system', 'architecture', 'devops', 'cybersecurity', 'blockchain', 'data', 'analytics', 'automation'],
-      business: ['startup', 'entrepreneur', 'business', 'marketing', 'growth', 'strategy', 'revenue', 'funding', 'investment', 'scale', 'product', 'market', 'customer', 'sales', 'monetization', 'profit', 'roi', 'conversion', 'acquisition'],
-      content: ['content', 'creator', 'video', 'youtube', 'social media', 'influencer', 'brand', 'engagement', 'audience', 'viral', 'trending', 'seo', 'optimization', 'analytics'],
-      general: ['tutorial', 'guide', 'tips', 'how to', 'best', 'top', 'review', 'comparison', 'vs', 'new', 'latest', 'update', 'release', '2024', '2025', 'future', 'trend', 'prediction']
-    };
+
+    // Category lists seed keyword extraction unless KEYWORD_SEEDS=false
+    this.useKeywordSeeds = process.env.KEYWORD_SEEDS !== 'false';
   }
 
   /**
    * Extract channel ID from YouTube URL
+   * Direct /channel/ URLs are read as-is; @handle, /user/ and /c/ URLs are
+   * resolved by fetching the channel page and cached for later crawls.
    * @param {string} youtubeUrl - YouTube channel URL
    * @returns {Promise<string>} - Channel ID
+   * @throws {Error} - When the URL cannot be resolved to a channel
    */
   async extractChannelId(youtubeUrl) {
-    try {
-      // Handle @username format
-      if (youtubeUrl.includes('/@')) {
-        const username = youtubeUrl.split('/@')[1].split('/')[0];
-        console.log(`🔍 Resolving username: @${username}`);
-        
-        // For demonstration, we'll use known channel mappings
-        const channelMappings = {
-          '100xengineers': 'UCoch_d78Aosmp14ey1HgGSQ',
-          'techcrunch': 'UCCjyq_K1Xwfg8Lndy7lKMpA',
-          'ycombinator': 'UCcefcZRL2oaA_uBNeo5UOWg',
-          'mkbhd': 'UCBJycsmduvYEL83R_U4JriQ',
-          'veritasium': 'UCHnyfMqiRRG1u-2MsSQLbXA'
-        };
-
-        const channelId = channelMappings[username.toLowerCase()];
-        if (channelId) {
-          console.log(`✅ Found channel ID for @${username}: ${channelId}`);
-          return channelId;
-        } else {
-          // Fallback to a default for demonstration
-          console.log(`⚠️ Unknown channel @${username}, using demo channel`);
-          return 'UCoch_d78Aosmp14ey1HgGSQ'; // 100x Engineers as fallback
-        }
+    // Handle direct channel ID URLs
+    if (youtubeUrl.includes('/channel/')) {
+      const channelId = youtubeUrl.split('/channel/')[1].split(/[/?#]/)[0];
+      if (!/^UC[\w-]{22}$/.test(channelId)) {
+        throw new Error(`Invalid YouTube channel ID in URL: ${youtubeUrl}`);
       }
+      return channelId;
+    }
 
-      // Handle direct channel ID URLs
-      if (youtubeUrl.includes('/channel/')) {
-        return youtubeUrl.split('/channel/')[1].split('/')[0];
-      }
+    const cacheKey = this.getChannelCacheKey(youtubeUrl);
+    if (!cacheKey) {
+      throw new Error(`Unrecognized YouTube channel URL: ${youtubeUrl}`);
+    }
 
-      // Handle user URLs
-      if (youtubeUrl.includes('/user/')) {
-        const username = youtubeUrl.split('/user/')[1].split('/')[0];
-        // For user URLs, we'd need to resolve to channel ID
-        // Using fallback for demonstration
-        return 'UCoch_d78Aosmp14ey1HgGSQ';
-      }
+    const cachedId = youtubeChannels.getChannelId(cacheKey);
+    if (cachedId) {
+      console.log(`✅ Found cached channel ID for ${cacheKey}: ${cachedId}`);
+      return cachedId;
+    }
+
+    console.log(`🔍 Resolving ${cacheKey} from channel page`);
+    const channelId = await this.resolveChannelId(cacheKey);
+    youtubeChannels.saveChannelId(cacheKey, channelId);
+    console.log(`✅ Resolved ${cacheKey} to ${channelId}`);
+
+    return channelId;
+  }
 
-      // Handle c/ URLs
-      if (youtubeUrl.includes('/c/')) {
-        const channelName = youtubeUrl.split('/c/')[1].split('/')[0];
-        // For c/ URLs, we'd need to resolve to channel ID
-        // Using fallback for demonstration
-        return 'UCoch_d78Aosmp14ey1HgGSQ';
+  /**
+   * Build the resolution cache key for a handle, /user/ or /c/ URL
+   * @private
+   * @param {string} youtubeUrl - YouTube channel URL
+   * @returns {string|null} - Cache key (`@handle`, `user:name`, `c:name`)
+   */
+  getChannelCacheKey(youtubeUrl) {
+    const segment = (marker) => decodeURIComponent(youtubeUrl.split(marker)[1].split(/[/?#]/)[0]);
+
+    if (youtubeUrl.includes('/@')) return `@${segment('/@')}`.toLowerCase();
+    if (youtubeUrl.includes('/user/')) return `user:${segment('/user/')}`.toLowerCase();
+    if (youtubeUrl.includes('/c/')) return `c:${segment('/c/')}`.toLowerCase();
+    return null;
+  }
+
+  /**
+   * Fetch a channel page and read its canonical channel ID
+   * @private
+   * @param {string} cacheKey - Cache key from getChannelCacheKey
+   * @returns {Promise<string>} - Channel ID
+   */
+  async resolveChannelId(cacheKey) {
+    const path = cacheKey.startsWith('@')
+      ? cacheKey
+      : cacheKey.replace(/^user:/, 'user/').replace(/^c:/, 'c/');
+    const pageUrl = `https://www.youtube.com/${encodeURI(path)}`;
+
+    const response = await fetch(pageUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TrendCrawler/1.0)',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Cookie': 'CONSENT=YES+1'
       }
+    });
+    if (!response.ok) {
+      throw new Error(`Could not resolve YouTube channel ${cacheKey}: HTTP ${response.status}`);
+    }
 
-      // Fallback
-      console.log('⚠️ Could not extract channel ID, using default');
-      return 'UCoch_d78Aosmp14ey1HgGSQ';
+    const html = await response.text();
+    const patterns = [
+      /<link\s+rel="canonical"\s+href="https:\/\/www\.youtube\.com\/channel\/(UC[\w-]{22})"/,
+      /<meta\s+itemprop="(?:channelId|identifier)"\s+content="(UC[\w-]{22})"/,
+      /"externalId":"(UC[\w-]{22})"/
+    ];
 
-    } catch (error) {
-      console.error('Channel ID extraction error:', error);
-      return 'UCoch_d78Aosmp14ey1HgGSQ'; // Fallback
+    for (const pattern of patterns) {
+      const match = html.match(pattern);
+      if (match) return match[1];
     }
+
+    throw new Error(`Could not resolve YouTube channel ${cacheKey}: no channel ID found on ${pageUrl}`);
   }
 
   /**
@@ -88,12 +119,22 @@ class YouTubeCrawlerService {
    * @returns {Promise<Object>} - Crawl results
    */
   async crawlYouTubeChannel(youtubeUrl) {
+    console.log(`🔍 Crawling YouTube channel: ${youtubeUrl}`);
+
+    // Resolution failures are reported as-is; falling back to mock data here
+    // would silently track the wrong channel
+    let channelId;
+    try {
+      channelId = await this.extractChannelId(youtubeUrl);
+    } catch (error) {
+      console.error('Channel ID extraction error:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
     try {
-      console.log(`🔍 Crawling YouTube channel: ${youtubeUrl}`);
-      
-      // Extract channel ID
-      const channelId = await this.extractChannelId(youtubeUrl);
-      
       // Construct RSS feed URL
       const rssUrl = `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
       console.log(`📡 Fetching RSS feed: ${rssUrl}`);
@@ -136,7 +177,7 @@ class YouTubeCrawlerService {
         channelName: entry.author?.name || channelName,
         viewCount: Math.floor(Math.random() * 100000) + 1000, // Mock view count
         keywords: this.extractKeywords(entry.title + ' ' + (entry['media:group']?.['media:description'] || ''))
-      }));
+      })).map(video => ({ ...video, sentiment: sentimentAnalyzer.analyzeItem(video) }));
 
       // Log latest video for verification
       if (videos.length > 0) {
@@ -254,7 +295,7 @@ class YouTubeCrawlerService {
         channelName: channelName,
         channelDescription: `${channelName} - Technology and Engineering Content`,
         totalVideos: mockVideos.length,
-        videos: mockVideos,
+        videos: mockVideos.map(video => ({ ...video, sentiment: sentimentAnalyzer.analyzeItem(video) })),
         crawledAt: new Date().toISOString(),
         rssUrl: 'https://www.youtube.com/feeds/videos.xml?channel_id=UCoch_d78Aosmp14ey1HgGSQ',
         isMockData: true
@@ -265,49 +306,64 @@ class YouTubeCrawlerService {
 
   /**
    * Extract keywords from text
+   * Delegates to the statistical keyword extractor; the taxonomy
+   * keyword lists are passed as seeds (boosted, but not the only vocabulary).
    * @private
    * @param {string} text - Text to extract keywords from
    * @returns {Array} - Array of keywords
    */
   extractKeywords(text) {
     if (!text) return [];
-    
-    const words = text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2);
-    
-    const keywords = [];
-    const allKeywords = [
-      ...this.trendKeywords.technology,
-      ...this.trendKeywords.business,
-      ...this.trendKeywords.content,
-      ...this.trendKeywords.general
-    ];
-    
-    for (const word of words) {
-      if (allKeywords.includes(word) && !keywords.includes(word)) {
-        keywords.push(word);
-      }
-    }
-    
-    return keywords.slice(0, 10); // Limit to top 10 keywords
+
+    return keywordExtractor.extractKeywords(text, {
+      seeds: this.useKeywordSeeds ? taxonomyService.getSeedKeywords() : [],
+      limit: 10
+    });
   }
 
   /**
    * Extract trending keywords from crawled data
-   * @param {Object} crawlData - Crawled channel data
+   * Growth and volume come from the stored crawl history of the source (see
+   * trend-metrics), so the crawl should be snapshotted before calling this.
+   * @param {Object} crawlData - Crawled channel data (`videos`) or feed data (`items`)
+   * @param {Object} options - { sourceId } limits history to one source; { metrics: false } skips history (mock data)
    * @returns {Array} - Array of trending keywords with stats
    */
-  extractTrendingKeywords(crawlData) {
+  extractTrendingKeywords(crawlData, options = {}) {
     try {
       const keywordCounts = {};
       const keywordCategories = {};
+      const keywordItems = {};
+      const keywordSentiments = {};
+      const keywordAliasSets = {};
       
-      // Process all videos
-      crawlData.videos.forEach(video => {
-        video.keywords.forEach(keyword => {
+      // Process all videos / feed items
+      (crawlData.items || crawlData.videos || []).forEach(item => {
+        const itemSentiment = item.sentiment || sentimentAnalyzer.analyzeItem(item);
+
+        // Variants of one keyword ("apis", "API") count once per item, under the canonical keyword
+        const itemKeywords = new Map();
+        (item.keywords || []).forEach(raw => {
+          const keyword = keywordAliases.resolve(raw);
+          itemKeywords.set(keyword, [...(itemKeywords.get(keyword) || []), raw]);
+        });
+
+        itemKeywords.forEach((variants, keyword) => {
+          keywordAliasSets[keyword] = keywordAliasSets[keyword] || new Set();
+          variants.map(raw => raw.toLowerCase()).filter(raw => raw !== keyword).forEach(raw => keywordAliasSets[keyword].add(raw));
+
           keywordCounts[keyword] = (keywordCounts[keyword] || 0) + 1;
+          keywordSentiments[keyword] = [...(keywordSentiments[keyword] || []), itemSentiment];
+
+          // Keep links to the content behind the keyword
+          keywordItems[keyword] = keywordItems[keyword] || [];
+          if (keywordItems[keyword].length < MAX_ATTRIBUTED_ITEMS) {
+            keywordItems[keyword].push({
+              title: item.title,
+              url: item.link || item.videoUrl || null,
+              publishedDate: item.publishedDate || null
+            });
+          }
           
           // Categorize keyword
           if (!keywordCategories[keyword]) {
@@ -316,21 +372,37 @@ class YouTubeCrawlerService {
         });
       });
 
+      const { windows, hasPreviousWindow } = options.metrics === false
+        ? trendMetrics.emptyWindows(Object.keys(keywordCounts))
+        : trendMetrics.countKeywordWindows(Object.keys(keywordCounts), {
+          sourceIds: options.sourceId !== undefined ? [options.sourceId] : undefined
+        });
+
       // Convert to trending format
       const trends = Object.entries(keywordCounts)
-        .map(([keyword, count]) => ({
-          keyword: keyword,
-          mentions: count,
-          growth: `+${Math.floor(Math.random() * 200) + 50}%`, // Mock growth
-          volume: Math.floor(Math.random() * 50000) + 5000, // Mock volume
-          category: keywordCategories[keyword] || 'General',
-          updated_at: new Date().toISOString(),
-          sentiment: this.getKeywordSentiment(keyword),
-          velocity: count >= 3 ? 'accelerating' : count >= 2 ? 'steady' : 'emerging'
-        }))
+        .map(([keyword, count]) => {
+          const { growth, growthRate, insufficientHistory } = trendMetrics.computeGrowth(windows[keyword], { hasPreviousWindow });
+          const sentiment = sentimentAnalyzer.aggregate(keywordSentiments[keyword]);
+          return {
+            keyword: keyword,
+            mentions: count,
+            growth: growth,
+            growth_rate: growthRate,
+            volume: windows[keyword].current,
+            window_mentions: windows[keyword],
+            insufficient_history: insufficientHistory,
+            category: keywordCategories[keyword] || 'General',
+            updated_at: new Date().toISOString(),
+            sentiment: sentiment.label,
+            sentiment_score: sentiment.score,
+            velocity: count >= 3 ? 'accelerating' : count >= 2 ? 'steady' : 'emerging',
+            aliases: [...keywordAliasSets[keyword]],
+            items: keywordItems[keyword]
+          };
+        })
         .sort((a, b) => b.mentions - a.mentions);
 
-      console.log(`📈 Trending Keywords: ${trends.slice(0, 3).map(t => `${t.keyword} (${t.growth})`).join(', ')}`);
+      console.log(`📈 Trending Keywords: ${trends.slice(0, 3).map(t => `${t.keyword} (${t.growth || 'n/a'})`).join(', ')}`);
       
       return trends;
 
@@ -347,52 +419,103 @@ class YouTubeCrawlerService {
    * @returns {string} - Category name
    */
   categorizeKeyword(keyword) {
-    for (const [category, keywords] of Object.entries(this.trendKeywords)) {
-      if (keywords.includes(keyword.toLowerCase())) {
-        return category.charAt(0).toUpperCase() + category.slice(1);
+    const normalized = keyword.toLowerCase();
+    const words = normalized.split(' ');
+    const categories = taxonomyService.getCategories();
+
+    // Exact match first, then any word of a phrase ("react 19" -> technology)
+    for (const candidates of [[normalized], words]) {
+      for (const category of categories) {
+        if (candidates.some(candidate => category.keywords.includes(candidate))) {
+          return category.name;
+        }
       }
     }
-    return 'General';
-  }
 
-  /**
-   * Get sentiment for keyword
-   * @private  
-   * @param {string} keyword - Keyword
-   * @returns {string} - Sentiment
-   */
-  getKeywordSentiment(keyword) {
-    const positiveKeywords = ['ai', 'growth', 'success', 'best', 'new', 'future', 'innovation'];
-    const neutralKeywords = ['code', 'development', 'system', 'data', 'analysis'];
-    
-    if (positiveKeywords.some(pk => keyword.includes(pk))) return 'positive';
-    if (neutralKeywords.some(nk => keyword.includes(nk))) return 'neutral';
-    return 'positive'; // Default to positive
+    // Then the category patterns, tested against the whole keyword
+    const matched = categories.find(category => category.patterns.some(pattern => taxonomyService.matchesPattern(pattern, normalized)));
+    return matched ? matched.name : 'General';
   }
 
   /**
    * Combine trends from multiple sources
+   * Returns every keyword; callers apply their own filtering and top-N cut.
    * @param {Array} trendsArrays - Array of trends arrays from different sources
-   * @returns {Array} - Combined and deduplicated trends
+   * @returns {Array} - Combined and deduplicated trends, most mentioned first
    */
   combineTrends(trendsArrays) {
     const combinedKeywords = {};
     
     trendsArrays.forEach(trends => {
       trends.forEach(trend => {
-        if (combinedKeywords[trend.keyword]) {
+        // Roll aliases and variants up into the canonical keyword
+        const keyword = keywordAliases.resolve(trend.keyword);
+        const aliases = [...(trend.aliases || []), trend.keyword.toLowerCase()].filter(alias => alias !== keyword);
+
+        if (combinedKeywords[keyword]) {
           // Combine metrics
-          combinedKeywords[trend.keyword].mentions += trend.mentions;
-          combinedKeywords[trend.keyword].volume += trend.volume;
+          const combined = combinedKeywords[keyword];
+          combined.aliases = [...new Set([...combined.aliases, ...aliases])];
+          // Sentiment is the mention-weighted mean of the sources that have a score
+          if (typeof trend.sentiment_score === 'number') {
+            if (typeof combined.sentiment_score === 'number') {
+              const weight = combined.sentimentWeight ?? combined.mentions;
+              combined.sentiment_score = (combined.sentiment_score * weight + trend.sentiment_score * trend.mentions) / (weight + trend.mentions);
+              combined.sentimentWeight = weight + trend.mentions;
+            } else {
+              combined.sentiment_score = trend.sentiment_score;
+              combined.sentimentWeight = trend.mentions;
+            }
+          }
+          combined.mentions += trend.mentions;
+          combined.volume += trend.volume;
+          if (trend.sources) {
+            combined.sources = [...(combined.sources || []), ...trend.sources];
+          }
+          if (trend.window_mentions) {
+            combined.window_mentions = {
+              current: (combined.window_mentions?.current || 0) + trend.window_mentions.current,
+              previous: (combined.window_mentions?.previous || 0) + trend.window_mentions.previous
+            };
+          }
+          // History is sufficient once any contributing source has a previous window
+          combined.insufficient_history = combined.insufficient_history && trend.insufficient_history;
         } else {
-          combinedKeywords[trend.keyword] = { ...trend };
+          combinedKeywords[keyword] = {
+            ...trend,
+            keyword,
+            aliases: [...new Set(aliases)],
+            ...(keyword !== trend.keyword ? { category: this.categorizeKeyword(keyword) } : {}),
+            ...(trend.sources ? { sources: [...trend.sources] } : {}),
+            ...(trend.window_mentions ? { window_mentions: { ...trend.window_mentions } } : {})
+          };
         }
       });
     });
 
+    // Growth is recomputed from the summed windows rather than averaged
+    Object.values(combinedKeywords).forEach(trend => {
+      if (!trend.window_mentions) return;
+      const { growth, growthRate, insufficientHistory } = trendMetrics.computeGrowth(trend.window_mentions, {
+        hasPreviousWindow: !trend.insufficient_history
+      });
+      trend.growth = growth;
+      trend.growth_rate = growthRate;
+      trend.insufficient_history = insufficientHistory;
+    });
+
+    // Largest contributors first
+    Object.values(combinedKeywords).forEach(trend => {
+      if (trend.sources) trend.sources.sort((a, b) => b.mentions - a.mentions);
+      if (trend.sentimentWeight !== undefined) {
+        trend.sentiment_score = Math.round(trend.sentiment_score * 1000) / 1000;
+        trend.sentiment = sentimentAnalyzer.getLabel(trend.sentiment_score);
+        delete trend.sentimentWeight;
+      }
+    });
+
     return Object.values(combinedKeywords)
-      .sort((a, b) => b.mentions - a.mentions)
-      .slice(0, 20);
+      .sort((a, b) => b.mentions - a.mentions);
   }
 }
 
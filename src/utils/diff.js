@@ -0,0 +1,81 @@
+// Line-level text diff (longest common subsequence)
+
+// Above this many cells in the LCS table the changed block is reported as removed + added
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} - [{ type: 'unchanged'|'removed'|'added', from_line, to_line, text }]
+ */
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Skip the common head and tail so the table only covers the edited block
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const lines = [];
+  const push = (type, text, fromLine, toLine) => lines.push({ type, from_line: fromLine, to_line: toLine, text });
+
+  for (let k = 0; k < start; k++) push('unchanged', a[k], k + 1, k + 1);
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    midA.forEach((text, k) => push('removed', text, start + k + 1, null));
+    midB.forEach((text, k) => push('added', text, null, start + k + 1));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i][j] = midA[i] === midB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        push('unchanged', midA[i], start + i + 1, start + j + 1);
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        push('removed', midA[i], start + i + 1, null);
+        i++;
+      } else {
+        push('added', midB[j], null, start + j + 1);
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) push('unchanged', a[endA + k], endA + k + 1, endB + k + 1);
+
+  return lines;
+};
+
+/**
+ * Unified-style text of a line diff ("+ ", "- " and "  " prefixes)
+ * @param {Array} lines - Output of diffLines
+ * @returns {string}
+ */
+const formatDiff = (lines) => lines
+  .map(line => `${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '} ${line.text}`)
+  .join('\n');
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
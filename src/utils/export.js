@@ -0,0 +1,48 @@
+// Export serialization helpers
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Plain numbers and percentages ("-12", "+45%") are left as they are
+const NUMERIC_TEXT = /^[+-]?\d+(\.\d+)?%?$/;
+
+// Neutralize formula-like text with a leading "'" (CSV injection), then quote
+// fields containing separators, quotes or line breaks (RFC 4180)
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !NUMERIC_TEXT.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as CSV
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Column order (header row)
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCsvField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Serialize rows as newline-delimited JSON
+ * @param {Array<Object>} rows - Rows
+ * @returns {string}
+ */
+const toNdjson = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+module.exports = {
+  toCsv,
+  toNdjson,
+  escapeXml
+};
@@ -15,7 +15,11 @@ const getErrorCode = (statusCode) => {
     case 401: return 'UNAUTHORIZED';
     case 403: return 'FORBIDDEN';
     case 404: return 'NOT_FOUND';
+    case 409: return 'CONFLICT';
+    case 410: return 'GONE';
     case 500: return 'INTERNAL_ERROR';
+    case 502: return 'UPSTREAM_ERROR';
+    case 503: return 'SERVICE_UNAVAILABLE';
     default: return 'UNKNOWN_ERROR';
   }
 };
@@ -0,0 +1,125 @@
+// Network address checks for outbound requests to user-supplied URLs (webhooks)
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+// IPv4 ranges that must not be reached from the server: "this" network,
+// private, carrier-grade NAT, loopback, link-local (cloud metadata), reserved
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((value, octet) => value * 256 + parseInt(octet), 0);
+
+const isBlockedIPv4 = (ip) => {
+  const value = ipv4ToNumber(ip);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(base);
+    return value >= start && value < start + size;
+  });
+};
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not public
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (ip) => {
+  const address = ip.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(address)) return isBlockedIPv4(address);
+  if (!net.isIPv6(address)) return false;
+
+  // IPv4-mapped (::ffff:a.b.c.d) addresses are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isBlockedIPv4(mapped[1]);
+
+  return address === '::' || address === '::1' ||
+    /^f[cd]/.test(address) || // unique local fc00::/7
+    /^fe[89ab]/.test(address) || // link-local fe80::/10
+    /^ff/.test(address) || // multicast
+    address.startsWith('::ffff:');
+};
+
+/**
+ * Whether a hostname can be used for outbound requests without resolving it:
+ * rejects localhost names and private IP literals
+ * @param {string} hostname - URL hostname
+ * @returns {boolean}
+ */
+const isPublicHostname = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (!host || host === 'localhost' || host.endsWith('.localhost')) return false;
+  return !isPrivateAddress(host);
+};
+
+/**
+ * dns.lookup replacement for outbound requests to user-supplied hosts: the
+ * hostname is resolved once and the connection uses the address that was
+ * checked, so a second resolution cannot swap in a private one (DNS rebinding)
+ * Fails with code EPRIVATEADDRESS when any resolved address is private.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const privateError = new Error(`${hostname} resolves to a private network address`);
+      privateError.code = 'EPRIVATEADDRESS';
+      return callback(privateError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a JSON body; redirects are not followed
+ * @param {string} url - http(s) URL
+ * @param {Object} body - JSON payload
+ * @param {Object} options - { timeoutMs, lookup } (lookup: e.g. publicLookup; default DNS otherwise)
+ * @returns {Promise<Object>} - { status, ok }
+ */
+const postJson = (url, body, { timeoutMs, lookup } = {}) => new Promise((resolve, reject) => {
+  const payload = JSON.stringify(body);
+  const client = new URL(url).protocol === 'https:' ? https : http;
+
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    lookup
+  }, (response) => {
+    response.resume();
+    resolve({ status: response.statusCode, ok: response.statusCode >= 200 && response.statusCode < 300 });
+  });
+
+  const timer = setTimeout(() => {
+    const timeoutError = new Error(`Request timed out after ${timeoutMs}ms`);
+    timeoutError.name = 'TimeoutError';
+    request.destroy(timeoutError);
+  }, timeoutMs);
+  request.on('close', () => clearTimeout(timer));
+  request.on('error', reject);
+  request.end(payload);
+});
+
+module.exports = {
+  isPrivateAddress,
+  isPublicHostname,
+  publicLookup,
+  postJson
+};